@@ -30,7 +30,7 @@ module.exports = {
     'eol-last': 'error',
     'eqeqeq': [ 'error', 'always' ],
     'func-call-spacing': 'error',
-    'id-length': 'error',
+    'id-length': [ 'error', { exceptions: [ 'q' ] } ],
     'indent': [ 'error', 2, { SwitchCase: 1 } ],
     'key-spacing': 'error',
     'keyword-spacing': 'error',
@@ -0,0 +1,218 @@
+'use strict';
+
+const DAY_IN_MILLISECONDS = 24 * 60 * 60 * 1000;
+const MINUTE_IN_MILLISECONDS = 60 * 1000;
+const MINUTES_IN_DAY = 24 * 60;
+const DEFAULT_WORKING_DAYS = [ 'mon', 'tue', 'wed', 'thu', 'fri' ];
+const ENTRY_KEYS = [ 'reviewer', 'from', 'until' ];
+
+function parse_availability_file(content, { path = '' } = {}) {
+  // Availability files list the same entries as "availability.unavailable", either in JSON or as an iCalendar file
+  const entries = path.toLowerCase().endsWith('.ics') ? parse_ics(content) : parse_json({ content, path });
+
+  // Entries are checked like the ones of "availability.unavailable" so that a typo doesn't silently make a reviewer available
+  const problems = entries.flatMap((entry, index) => describe_entry_problems(entry).map(({ key, message }) => `- "[${index}]${key ? `.${key}` : ''}" ${message}`));
+  if (problems.length > 0) {
+    throw new Error(`Availability file ${path} has invalid entries:\n${problems.join('\n')}`);
+  }
+
+  return entries;
+}
+
+function is_valid_date(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T.+)?$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function identify_unavailable_reviewers({ entries, reviewers, now = Date.now() }) {
+  const away_reviewers = new Set(entries.filter((entry) => is_away({ entry, now })).map((entry) => entry.reviewer));
+
+  return reviewers.filter((reviewer) => away_reviewers.has(reviewer));
+}
+
+function identify_reviewers_in_working_hours({ working_hours = {}, reviewers, within_hours = 0, now = Date.now() }) {
+  // Reviewers without working hours are not constrained, so they are always in
+  return reviewers.filter((reviewer) => !working_hours[reviewer] || is_working_within({ schedule: working_hours[reviewer], within_hours, now }));
+}
+
+function parse_time_range(hours) {
+  // "09:00-18:00" into minutes of the day; ranges ending before they start go over midnight
+  const match = hours.match(/^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/);
+  if (!match) {
+    return undefined;
+  }
+
+  const [ , start_hour, start_minute, end_hour, end_minute ] = match.map(Number);
+  return { start: (start_hour * 60) + start_minute, end: (end_hour * 60) + end_minute };
+}
+
+/* Private */
+
+function parse_json({ content, path }) {
+  let entries;
+  try {
+    entries = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Availability file ${path} is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new Error(`Availability file ${path} must be a list of { "reviewer", "from", "until" } entries`);
+  }
+
+  return entries;
+}
+
+function describe_entry_problems(entry) {
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [ { message: `must be a mapping but got ${JSON.stringify(entry)}` } ];
+  }
+
+  const problems = Object.keys(entry).filter((key) => !ENTRY_KEYS.includes(key)).map((key) => ({
+    key,
+    message: `is not a known key; expected one of ${ENTRY_KEYS.map((known_key) => `"${known_key}"`).join(', ')}`,
+  }));
+
+  if (typeof entry.reviewer !== 'string' || entry.reviewer === '') {
+    problems.push({ key: 'reviewer', message: `must be a string but got ${JSON.stringify(entry.reviewer)}` });
+  }
+
+  [ 'from', 'until' ].filter((key) => entry[key] !== undefined && !is_valid_date(entry[key])).forEach((key) => {
+    problems.push({ key, message: `must be a date like "2024-08-01" or "2024-08-01T09:00:00Z" but got ${JSON.stringify(entry[key])}` });
+  });
+
+  return problems;
+}
+
+function is_working_within({ schedule, within_hours, now }) {
+  const { start } = parse_time_range(schedule.hours);
+
+  if (is_working_at({ schedule, time: now })) {
+    return true;
+  }
+
+  // Otherwise, looks for the start of working hours coming within the given number of hours
+  const { minutes } = get_local_time({ timezone: schedule.timezone, time: now });
+  for (let offset = (start - minutes + MINUTES_IN_DAY) % MINUTES_IN_DAY; offset <= within_hours * 60; offset += MINUTES_IN_DAY) {
+    if (is_working_at({ schedule, time: now + (offset * MINUTE_IN_MILLISECONDS) })) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function is_working_at({ schedule, time }) {
+  const { start, end } = parse_time_range(schedule.hours);
+  const { day, minutes } = get_local_time({ timezone: schedule.timezone, time });
+
+  if (!(schedule.days ?? DEFAULT_WORKING_DAYS).includes(day)) {
+    return false;
+  }
+
+  return start < end ? start <= minutes && minutes < end : minutes >= start || minutes < end;
+}
+
+function get_local_time({ timezone, time }) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(new Date(time)).map(({ type, value }) => [ type, value ]));
+
+  return {
+    day: parts.weekday.toLowerCase(),
+    minutes: (Number(parts.hour) * 60) + Number(parts.minute),
+  };
+}
+
+function is_away({ entry, now }) {
+  const from = entry.from ? Date.parse(entry.from) : -Infinity;
+
+  // A date without a time ends at the end of that day (UTC) while a date-time is the exact end
+  let until = entry.until ? Date.parse(entry.until) : Infinity;
+  if (entry.until && is_date_only(entry.until)) {
+    until += DAY_IN_MILLISECONDS;
+  }
+
+  return from <= now && now < until;
+}
+
+function is_date_only(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function parse_ics(content) {
+  // Lines starting with a space or a tab continue the previous line
+  const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const entries = [];
+  let event;
+
+  lines.forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      // The first word of the summary is the username, e.g. "mario OOO"
+      const reviewer = event?.SUMMARY?.trim().split(/\s+/)[0]?.replace(/^@/, '');
+      if (reviewer) {
+        // An event without an end lasts the day of its start date, or no time at all when it starts at a date-time
+        const until = event.DTEND ? to_exact_end(event.DTEND) : event.DTSTART;
+        entries.push({ reviewer, from: event.DTSTART ?? null, until: until ?? null });
+      }
+      event = undefined;
+      return;
+    }
+
+    if (!event) {
+      return;
+    }
+
+    const match = line.match(/^([A-Z-]+)(;[^:]*)?:(.*)$/);
+    if (!match) {
+      return;
+    }
+
+    const [ , name, params = '', value ] = match;
+    if (name === 'DTSTART' || name === 'DTEND') {
+      // Unreadable dates are kept as the line so that they are reported rather than making an open-ended entry
+      event[name] = parse_ics_date({ params, value }) ?? line;
+      return;
+    }
+
+    event[name] = value;
+  });
+
+  return entries;
+}
+
+function parse_ics_date({ params, value }) {
+  // "20240801" or "20240801T090000Z", where floating times are taken as UTC; times in a "TZID" time zone are not supported
+  const [ , year, month, day, time, utc ] = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{6})(Z)?)?$/) ?? [];
+  if (!year || (time && !utc && /;TZID=/i.test(params))) {
+    return undefined;
+  }
+
+  if (!time) {
+    return `${year}-${month}-${day}`;
+  }
+
+  return `${year}-${month}-${day}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}Z`;
+}
+
+function to_exact_end(date) {
+  // The end date of all-day events is exclusive, so it is turned into the exact end
+  return is_date_only(date) ? `${date}T00:00:00Z` : date;
+}
+
+module.exports = {
+  parse_availability_file,
+  identify_unavailable_reviewers,
+  identify_reviewers_in_working_hours,
+  parse_time_range,
+  is_valid_date,
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+// Locations GitHub looks up a CODEOWNERS file in, in order of precedence
+// ref: https://docs.github.com/en/repositories/managing-your-repositorys-settings-and-features/customizing-your-repository/about-code-owners#codeowners-file-location
+const CODEOWNERS_PATHS = [ '.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS' ];
+
+function parse_codeowners(content) {
+  return content.split(/\r?\n/).flatMap((raw_line) => {
+    const line = strip_comment(raw_line).trim();
+
+    if (!line) {
+      return [];
+    }
+
+    const [ escaped_pattern, ...owners ] = line.split(/\s+/);
+    const pattern = escaped_pattern.replace(/\\#/g, '#');
+
+    // Rules without owners are kept as they take ownership away from earlier matching rules
+    return [ {
+      pattern,
+      globs: pattern_to_globs(pattern),
+      owners: owners.map(translate_owner),
+    } ];
+  });
+}
+
+function is_email_owner(owner) {
+  return !owner.startsWith('team:') && owner.includes('@');
+}
+
+function anchor_pattern(pattern) {
+  // A leading or a middle slash anchors the pattern to the repository root, otherwise it matches at any depth.
+  // This is shared by the gitignore-style patterns of CODEOWNERS and .gitattributes.
+  const is_anchored = pattern.replace(/\/$/, '').includes('/');
+  const glob = pattern.replace(/^\//, '').replace(/\/$/, '');
+
+  return is_anchored || glob.startsWith('**') ? glob : `**/${glob}`;
+}
+
+/* Private */
+
+function strip_comment(line) {
+  // "#" starts a comment unless it is escaped
+  const match = line.match(/(^|[^\\])#/);
+  return match ? line.slice(0, match.index + match[1].length) : line;
+}
+
+function translate_owner(owner) {
+  // "@org/team" becomes the "team:" alias form; teams are always looked up in the organization of the repository
+  const team_match = owner.match(/^@[^/]+\/(.+)$/);
+  if (team_match) {
+    return `team:${team_match[1]}`;
+  }
+
+  // "@username" becomes a plain username while emails are kept as is so that they can be resolved later
+  return owner.replace(/^@/, '');
+}
+
+function pattern_to_globs(pattern) {
+  const glob = anchor_pattern(pattern);
+
+  if (pattern.endsWith('/')) {
+    return [ `${glob}/**` ];
+  }
+
+  // A pattern naming a directory owns everything in it, except for wildcards such as "docs/*" which only match one level
+  const last_segment = glob.split('/').pop();
+  return last_segment.includes('*') ? [ glob ] : [ glob, `${glob}/**` ];
+}
+
+module.exports = {
+  CODEOWNERS_PATHS,
+  parse_codeowners,
+  is_email_owner,
+  anchor_pattern,
+};
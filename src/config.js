@@ -0,0 +1,584 @@
+'use strict';
+
+const minimatch = require('minimatch');
+const yaml = require('yaml');
+const { INVALID_CONFIG } = require('./constants');
+const { parse_time_range, is_valid_date } = require('./availability');
+
+// The schema is a tree of node descriptions:
+// - { type: 'string' | 'boolean' | 'glob' | 'regex' | 'date' | 'timezone' | 'time_range' }
+// - { type: 'integer', min }
+// - { type: 'enum', values }
+// - { type: 'list', items }
+// - { type: 'map', keys, required, required_any } for mappings with a fixed set of keys, unknown keys are rejected
+// - { type: 'dict', key, values } for mappings with arbitrary keys (e.g. group names, glob patterns)
+// - { type: 'one_of', schemas } accepts a node valid against any of the schemas of its kind (mapping/list/scalar)
+const REVIEWER = { type: 'string' };
+const REVIEWER_LIST = { type: 'list', items: REVIEWER };
+
+// "files", "per_author" and "labels" rules are either a list of reviewers or a mapping telling required reviewers apart from optional ones
+const RULE_KEYS = {
+  required: REVIEWER_LIST,
+  reviewers: REVIEWER_LIST,
+};
+
+// Statuses of the changed files as reported by GitHub
+const FILE_STATUS = { type: 'enum', values: [ 'added', 'removed', 'modified', 'renamed', 'copied', 'changed', 'unchanged' ] };
+
+const REVIEWERS_SECTION = {
+  type: 'map',
+  keys: {
+    defaults: REVIEWER_LIST,
+    groups: {
+      type: 'dict',
+      key: { type: 'string' },
+      values: {
+        type: 'one_of',
+        schemas: [
+          REVIEWER_LIST,
+          { type: 'map', required: [ 'include' ], keys: { include: REVIEWER_LIST, exclude: REVIEWER_LIST } },
+        ],
+      },
+    },
+    per_author: {
+      type: 'dict',
+      key: { type: 'string' },
+      values: {
+        type: 'one_of',
+        schemas: [
+          REVIEWER_LIST,
+          { type: 'map', required_any: [ 'required', 'reviewers' ], keys: RULE_KEYS },
+        ],
+      },
+    },
+  },
+};
+
+const FILES_SECTION = {
+  type: 'dict',
+  key: { type: 'glob' },
+  values: {
+    type: 'one_of',
+    schemas: [
+      REVIEWER_LIST,
+      {
+        type: 'map',
+        required_any: [ 'required', 'reviewers' ],
+        keys: {
+          ...RULE_KEYS,
+          count: { type: 'integer', min: 1 },
+          status: {
+            type: 'one_of',
+            schemas: [
+              FILE_STATUS,
+              { type: 'list', items: FILE_STATUS },
+            ],
+          },
+        },
+      },
+    ],
+  },
+};
+
+const LABELS_SECTION = {
+  type: 'dict',
+  key: { type: 'string' },
+  values: {
+    type: 'one_of',
+    schemas: [
+      REVIEWER_LIST,
+      { type: 'map', required_any: [ 'required', 'reviewers' ], keys: RULE_KEYS },
+    ],
+  },
+};
+
+const OPTIONS_SECTION = {
+  type: 'map',
+  keys: {
+    ignore_draft: { type: 'boolean' },
+    ignored_keywords: { type: 'list', items: { type: 'string' } },
+    enable_group_assignment: {
+      type: 'one_of',
+      schemas: [
+        { type: 'boolean' },
+        REVIEWER_LIST,
+      ],
+    },
+    number_of_reviewers: { type: 'integer', min: 1 },
+    selection_strategy: { type: 'enum', values: [ 'random', 'least_loaded', 'round_robin', 'expertise' ] },
+    rotation_storage: { type: 'enum', values: [ 'issue', 'variable', 'file' ] },
+    last_files_match_only: { type: 'boolean' },
+    ignore_files: { type: 'list', items: { type: 'glob' } },
+    ignore_generated_files: { type: 'boolean' },
+    skip_if_only_ignored_files: { type: 'boolean' },
+    codeowners: {
+      type: 'one_of',
+      schemas: [
+        { type: 'boolean' },
+        { type: 'string' },
+      ],
+    },
+    codeowners_mode: { type: 'enum', values: [ 'append', 'replace' ] },
+    expand_teams: { type: 'boolean' },
+    sync_mode: { type: 'boolean' },
+    prefer_working_hours: {
+      type: 'one_of',
+      schemas: [
+        { type: 'boolean' },
+        {
+          type: 'map',
+          keys: {
+            within_hours: { type: 'integer', min: 0 },
+          },
+        },
+      ],
+    },
+    escalation: {
+      type: 'map',
+      required_any: [ 'after_hours' ],
+      keys: {
+        after_hours: { type: 'integer', min: 1 },
+        backup_reviewers: { type: 'boolean' },
+        leads: REVIEWER_LIST,
+        mention: { type: 'boolean' },
+      },
+    },
+    size_tiers: {
+      type: 'list',
+      items: {
+        type: 'map',
+        required_any: [ 'reviewers', 'label' ],
+        keys: {
+          max_lines: { type: 'integer', min: 1 },
+          reviewers: { type: 'integer', min: 1 },
+          label: { type: 'string' },
+        },
+      },
+    },
+    rerequest_approvers: {
+      type: 'one_of',
+      schemas: [
+        { type: 'boolean' },
+        {
+          type: 'map',
+          keys: {
+            min_changed_lines: { type: 'integer', min: 1 },
+            files: { type: 'list', items: { type: 'glob' } },
+          },
+        },
+      ],
+    },
+  },
+};
+
+// Conditions match regular expressions against the pull request, and either skip the action or add reviewers
+const CONDITIONS_SECTION = {
+  type: 'list',
+  items: {
+    type: 'map',
+    required_any: [ 'title', 'body', 'head_branch', 'author_association' ],
+    keys: {
+      title: { type: 'regex' },
+      body: { type: 'regex' },
+      head_branch: { type: 'regex' },
+      author_association: { type: 'regex' },
+      skip: { type: 'boolean' },
+      ...RULE_KEYS,
+    },
+  },
+};
+
+const SCHEMA = {
+  type: 'map',
+  keys: {
+    extends: {
+      type: 'one_of',
+      schemas: [
+        { type: 'string' },
+        { type: 'list', items: { type: 'string' } },
+      ],
+    },
+    reviewers: REVIEWERS_SECTION,
+    files: FILES_SECTION,
+    labels: LABELS_SECTION,
+    conditions: CONDITIONS_SECTION,
+    availability: {
+      type: 'map',
+      keys: {
+        unavailable: {
+          type: 'list',
+          items: {
+            type: 'map',
+            required_any: [ 'reviewer' ],
+            keys: {
+              reviewer: REVIEWER,
+              from: { type: 'date' },
+              until: { type: 'date' },
+            },
+          },
+        },
+        github_status: { type: 'boolean' },
+        file: { type: 'string' },
+        working_hours: {
+          type: 'dict',
+          key: { type: 'string' },
+          values: {
+            type: 'map',
+            required: [ 'timezone', 'hours' ],
+            keys: {
+              timezone: { type: 'timezone' },
+              hours: { type: 'time_range' },
+              days: { type: 'list', items: { type: 'enum', values: [ 'mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun' ] } },
+            },
+          },
+        },
+      },
+    },
+    options: OPTIONS_SECTION,
+    // Sections keyed by base branch globs override the top-level ones for the pull requests targeting matching branches
+    branches: {
+      type: 'dict',
+      key: { type: 'glob' },
+      values: {
+        type: 'map',
+        keys: {
+          reviewers: REVIEWERS_SECTION,
+          files: FILES_SECTION,
+          labels: LABELS_SECTION,
+          conditions: CONDITIONS_SECTION,
+          options: OPTIONS_SECTION,
+        },
+      },
+    },
+  },
+};
+
+function parse_config(content, { file } = {}) {
+  const line_counter = new yaml.LineCounter();
+  const document = yaml.parseDocument(content, { lineCounter: line_counter });
+
+  const problems = document.errors.map((error) => ({
+    file,
+    path: '',
+    line: error.linePos?.[0]?.line,
+    column: error.linePos?.[0]?.col,
+    message: error.message.replace(/ at line \d+, column \d+:[\s\S]*$/, ''),
+  }));
+
+  if (problems.length === 0) {
+    const locate = (node) => {
+      const { line, col: column } = line_counter.linePos(node?.range?.[0] ?? 0);
+      return { file, line, column };
+    };
+
+    validate_node({ node: document.contents, schema: SCHEMA, path: '', document, locate, problems });
+  }
+
+  if (problems.length > 0) {
+    throw build_invalid_config_error(problems);
+  }
+
+  return document.toJS();
+}
+
+// Mappings are merged key by key while anything else (lists, scalars) in the override replaces the base value.
+// Keys defined by the override come after the remaining base keys, so its "files" rules take precedence with "last_files_match_only".
+function merge_configs(base, override) {
+  if (!is_plain_object(base) || !is_plain_object(override)) {
+    return override;
+  }
+
+  const merged = {};
+
+  Object.entries(base).filter(([ key ]) => !has_own(override, key)).forEach(([ key, value ]) => {
+    merged[key] = value;
+  });
+
+  Object.entries(override).forEach(([ key, value ]) => {
+    merged[key] = has_own(base, key) ? merge_configs(base[key], value) : value;
+  });
+
+  return merged;
+}
+
+function select_branch_config(config, base_ref) {
+  // Merges the "branches" sections matching the base branch over the top-level ones, in the order they are defined
+  const { branches = {}, ...base_config } = config;
+
+  return Object.entries(branches)
+    .filter(([ pattern ]) => minimatch(base_ref, pattern))
+    .reduce((merged_config, [ , branch_config ]) => merge_configs(merged_config, branch_config), base_config);
+}
+
+function format_problem({ file, path, line, column, message }) {
+  const location = [ file, line && `line ${line}`, column && `column ${column}` ].filter((part) => part).join(', ');
+  return `${location ? `${location}: ` : ''}${path ? `"${path}" ` : ''}${message}`;
+}
+
+/* Private */
+
+function build_invalid_config_error(problems) {
+  const error = new Error(`${INVALID_CONFIG}:\n${problems.map((problem) => `- ${format_problem(problem)}`).join('\n')}`);
+  error.problems = problems;
+  return error;
+}
+
+function validate_node({ node: original_node, schema, path, document, locate, problems }) {
+  const node = yaml.isAlias(original_node) ? original_node.resolve(document) : original_node;
+  const report = (message, at = node) => problems.push({ path, message, ...locate(at ?? original_node) });
+
+  switch (schema.type) {
+    case 'string':
+    case 'boolean':
+    case 'integer':
+    case 'enum':
+    case 'glob':
+    case 'regex':
+    case 'date':
+    case 'timezone':
+    case 'time_range':
+      validate_scalar({ node, schema, report });
+      return;
+
+    case 'list':
+      if (!yaml.isSeq(node)) {
+        report(`must be a list but got ${describe_node(node)}`);
+        return;
+      }
+      node.items.forEach((item, index) =>
+        validate_node({ node: item, schema: schema.items, path: `${path}[${index}]`, document, locate, problems })
+      );
+      return;
+
+    case 'map':
+    case 'dict':
+      if (!yaml.isMap(node)) {
+        report(`must be a mapping but got ${describe_node(node)}`);
+        return;
+      }
+      node.items.forEach((pair) => {
+        const key = yaml.isScalar(pair.key) ? pair.key.value : pair.key;
+        const key_path = path ? `${path}.${key}` : `${key}`;
+
+        if (schema.type === 'map') {
+          if (!has_own(schema.keys, key)) {
+            const known_keys = Object.keys(schema.keys).map((known_key) => `"${known_key}"`).join(', ');
+            problems.push({ path: key_path, message: `is not a known key; expected one of ${known_keys}`, ...locate(pair.key) });
+            return;
+          }
+          validate_node({ node: pair.value, schema: schema.keys[key], path: key_path, document, locate, problems });
+          return;
+        }
+
+        validate_node({ node: pair.key, schema: schema.key, path: key_path, document, locate, problems });
+        validate_node({ node: pair.value, schema: schema.values, path: key_path, document, locate, problems });
+      });
+
+      (schema.required ?? []).filter((required_key) => !node.has(required_key)).forEach((required_key) => {
+        report(`must have the key "${required_key}"`);
+      });
+
+      if (schema.required_any && !schema.required_any.some((required_key) => node.has(required_key))) {
+        report(`must have at least one of the keys ${schema.required_any.map((required_key) => `"${required_key}"`).join(', ')}`);
+      }
+      return;
+
+    case 'one_of': {
+      const candidates = schema.schemas.filter((candidate) => node_kind_of_schema(candidate) === node_kind(node));
+      if (candidates.length === 0) {
+        const expected = [ ...new Set(schema.schemas.map(node_kind_of_schema)) ].join(' or ');
+        report(`must be a ${expected} but got ${describe_node(node)}`);
+        return;
+      }
+
+      const candidate_problems = candidates.map((candidate) => {
+        const scratch = [];
+        validate_node({ node, schema: candidate, path, document, locate, problems: scratch });
+        return scratch;
+      });
+      if (candidate_problems.some((scratch) => scratch.length === 0)) {
+        return;
+      }
+
+      if (node_kind(node) === 'scalar' && candidates.length > 1) {
+        report(`must be ${candidates.map(describe_schema).join(' or ')} but got ${describe_node(node)}`);
+        return;
+      }
+      problems.push(...candidate_problems[0]);
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+function validate_scalar({ node, schema, report }) {
+  if (!yaml.isScalar(node) || node.value === null) {
+    report(`must be ${describe_schema(schema)} but got ${describe_node(node)}`);
+    return;
+  }
+
+  const { value } = node;
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string' || value === '') {
+        report(`must be a non-empty string but got ${describe_node(node)}`);
+      }
+      return;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        report(`must be a boolean but got ${describe_node(node)}`);
+      }
+      return;
+
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        report(`must be an integer but got ${describe_node(node)}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        report(`must be greater than or equal to ${schema.min} but got ${value}`);
+      }
+      return;
+
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        report(`must be one of ${schema.values.map((allowed) => `"${allowed}"`).join(', ')} but got ${describe_node(node)}`);
+      }
+      return;
+
+    case 'glob':
+      if (typeof value !== 'string' || !is_valid_glob(value)) {
+        report(`is not a valid glob pattern: ${describe_node(node)}`);
+      }
+      return;
+
+    case 'regex':
+      if (typeof value !== 'string' || !is_valid_regex(value)) {
+        report(`is not a valid regular expression: ${describe_node(node)}`);
+      }
+      return;
+
+    case 'timezone':
+      if (typeof value !== 'string' || !is_valid_timezone(value)) {
+        report(`must be an IANA time zone like "Europe/Paris" but got ${describe_node(node)}`);
+      }
+      return;
+
+    case 'time_range':
+      if (typeof value !== 'string' || !parse_time_range(value)) {
+        report(`must be a time range like "09:00-18:00" but got ${describe_node(node)}`);
+      }
+      return;
+
+    case 'date':
+      if (!is_valid_date(value)) {
+        report(`must be a date like "2024-08-01" or "2024-08-01T09:00:00Z" but got ${describe_node(node)}`);
+      }
+      return;
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+function is_valid_glob(pattern) {
+  if (pattern === '' || minimatch.makeRe(pattern) === false) {
+    return false;
+  }
+
+  // minimatch treats unbalanced brackets and braces as literals, which is never what was intended in a config file
+  const stack = [];
+  const closing = { ']': '[', '}': '{' };
+  for (let index = 0; index < pattern.length; index += 1) {
+    const character = pattern[index];
+    if (character === '\\') {
+      index += 1;
+    } else if (character === '[' || character === '{') {
+      stack.push(character);
+    } else if (closing[character] && stack.pop() !== closing[character]) {
+      return false;
+    }
+  }
+  return stack.length === 0;
+}
+
+function is_valid_regex(pattern) {
+  try {
+    RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function is_valid_timezone(timezone) {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function has_own(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function is_plain_object(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function node_kind(node) {
+  if (yaml.isMap(node)) {
+    return 'mapping';
+  }
+  if (yaml.isSeq(node)) {
+    return 'list';
+  }
+  return 'scalar';
+}
+
+function node_kind_of_schema(schema) {
+  if (schema.type === 'map' || schema.type === 'dict') {
+    return 'mapping';
+  }
+  if (schema.type === 'list') {
+    return 'list';
+  }
+  return 'scalar';
+}
+
+function describe_schema(schema) {
+  switch (schema.type) {
+    case 'integer':
+      return 'an integer';
+    case 'boolean':
+      return 'a boolean';
+    case 'enum':
+      return `one of ${schema.values.map((allowed) => `"${allowed}"`).join(', ')}`;
+    default:
+      return 'a non-empty string';
+  }
+}
+
+function describe_node(node) {
+  if (yaml.isMap(node)) {
+    return 'a mapping';
+  }
+  if (yaml.isSeq(node)) {
+    return 'a list';
+  }
+  if (!yaml.isScalar(node) || node.value === null) {
+    return 'nothing';
+  }
+  return `${typeof node.value} ${JSON.stringify(node.value)}`;
+}
+
+module.exports = {
+  parse_config,
+  merge_configs,
+  select_branch_config,
+  format_problem,
+};
@@ -1,5 +1,15 @@
 const LOCAL_FILE_MISSING = 'Local file missing';
+const INVALID_CONFIG = 'Invalid configuration file';
+
+// Where the round-robin rotation state is stored for each "rotation_storage" option
+const ROTATION_STATE_ISSUE_LABEL = 'auto-request-review-rotation';
+const ROTATION_STATE_VARIABLE = 'AUTO_REQUEST_REVIEW_ROTATION';
+const ROTATION_STATE_FILE = '.github/auto_request_review_rotation.json';
 
 module.exports = {
   LOCAL_FILE_MISSING,
+  INVALID_CONFIG,
+  ROTATION_STATE_ISSUE_LABEL,
+  ROTATION_STATE_VARIABLE,
+  ROTATION_STATE_FILE,
 };
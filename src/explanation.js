@@ -0,0 +1,56 @@
+'use strict';
+
+function build_explanation({
+  reasons,
+  reviewer_tiers,
+  requested_approved_reviewers = [],
+  missing_access = [],
+  unavailable_reviewers = [],
+  selection_strategy = 'random',
+}) {
+  // Tells what happened to each candidate along with the reasons it was matched for
+  return Object.entries(reasons).map(([ reviewer, reviewer_reasons ]) => {
+    let outcome;
+    if (reviewer_tiers[reviewer]) {
+      outcome = `requested (${reviewer_tiers[reviewer]})`;
+    } else if (requested_approved_reviewers.includes(reviewer)) {
+      outcome = 'already requested or approved';
+    } else if (missing_access.includes(reviewer)) {
+      outcome = 'skipped for not having access';
+    } else if (unavailable_reviewers.includes(reviewer)) {
+      outcome = 'skipped as unavailable';
+    } else {
+      outcome = `not picked by the \`${selection_strategy}\` strategy`;
+    }
+
+    return { reviewer, outcome, reasons: reviewer_reasons };
+  });
+}
+
+function render_explanation(explanation) {
+  const rows = explanation.map(({ reviewer, outcome, reasons }) =>
+    `| ${escape_cell(reviewer)} | ${escape_cell(outcome)} | ${reasons.map(escape_cell).join('<br>')} |`
+  );
+
+  return [
+    '<details>',
+    '<summary>Why these reviewers?</summary>',
+    '',
+    '| Reviewer | Outcome | Reasons |',
+    '| --- | --- | --- |',
+    ...rows,
+    '',
+    '</details>',
+  ].join('\n');
+}
+
+/* Private */
+
+function escape_cell(text) {
+  return text.replace(/\|/g, '\\|');
+}
+
+module.exports = {
+  build_explanation,
+  render_explanation,
+};
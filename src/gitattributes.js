@@ -0,0 +1,67 @@
+'use strict';
+
+const minimatch = require('minimatch');
+const { anchor_pattern } = require('./codeowners');
+
+const GITATTRIBUTES_PATH = '.gitattributes';
+
+// Attributes GitHub Linguist marks generated and vendored files with
+// ref: https://github.com/github-linguist/linguist/blob/main/docs/overrides.md
+const LINGUIST_ATTRIBUTES = [ 'linguist-generated', 'linguist-vendored' ];
+
+function parse_gitattributes(content) {
+  return content.split(/\r?\n/).flatMap((raw_line) => {
+    const line = raw_line.trim();
+
+    if (!line || line.startsWith('#')) {
+      return [];
+    }
+
+    const [ pattern, ...attributes ] = line.split(/\s+/);
+
+    // Unlike CODEOWNERS, a pattern naming a directory doesn't apply to the files in it, so "dir/" never matches a file
+    if (pattern.endsWith('/')) {
+      return [];
+    }
+
+    const linguist_attributes = Object.fromEntries(attributes.map(parse_attribute).filter(([ name ]) => LINGUIST_ATTRIBUTES.includes(name)));
+
+    if (Object.keys(linguist_attributes).length === 0) {
+      return [];
+    }
+
+    return [ {
+      pattern,
+      glob: anchor_pattern(pattern),
+      attributes: linguist_attributes,
+    } ];
+  });
+}
+
+function identify_linguist_files({ rules, files }) {
+  // Like git, the last matching line wins for each attribute, so "-linguist-generated" takes back an earlier line
+  return files.filter((file) => {
+    const attributes = {};
+    rules.filter((rule) => minimatch(file, rule.glob, { dot: true })).forEach((rule) => Object.assign(attributes, rule.attributes));
+
+    return Object.values(attributes).some((is_set) => is_set);
+  });
+}
+
+/* Private */
+
+function parse_attribute(attribute) {
+  // "name" and "name=true" set an attribute while "-name", "!name" and "name=false" unset it
+  if (attribute.startsWith('-') || attribute.startsWith('!')) {
+    return [ attribute.slice(1), false ];
+  }
+
+  const [ name, value ] = attribute.split('=');
+  return [ name, value !== 'false' ];
+}
+
+module.exports = {
+  GITATTRIBUTES_PATH,
+  parse_gitattributes,
+  identify_linguist_files,
+};
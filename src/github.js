@@ -4,8 +4,17 @@ const core = require('@actions/core');
 const fs = require('fs');
 const github = require('@actions/github');
 const partition = require('lodash/partition');
-const yaml = require('yaml');
-const { LOCAL_FILE_MISSING } = require('./constants');
+const {
+  LOCAL_FILE_MISSING,
+  ROTATION_STATE_ISSUE_LABEL,
+  ROTATION_STATE_VARIABLE,
+  ROTATION_STATE_FILE,
+} = require('./constants');
+const { EMPTY_ROTATION_STATE } = require('./strategies');
+const { parse_config, merge_configs } = require('./config');
+const { CODEOWNERS_PATHS, parse_codeowners, is_email_owner } = require('./codeowners');
+const { parse_availability_file } = require('./availability');
+const { GITATTRIBUTES_PATH, parse_gitattributes } = require('./gitattributes');
 // Applying Additional Plugins to Octokit from Github
 // https://github.com/actions/toolkit/tree/main/packages/github#extending-the-octokit-instance
 const github_utils = require('@actions/github/lib/utils');
@@ -30,45 +39,215 @@ class PullRequest {
   get is_draft() {
     return this._pull_request_paylaod.draft;
   }
+
+  get body() {
+    return this._pull_request_paylaod.body;
+  }
+
+  get author_association() {
+    return this._pull_request_paylaod.author_association;
+  }
+
+  get base_ref() {
+    return this._pull_request_paylaod.base.ref;
+  }
+
+  get head_ref() {
+    return this._pull_request_paylaod.head.ref;
+  }
+
+  get labels() {
+    return (this._pull_request_paylaod.labels ?? []).map((label) => label.name);
+  }
 }
 
 function get_pull_request() {
+  return new PullRequest(get_pull_request_payload());
+}
+
+function use_pull_request(pull_request_payload) {
+  // Lets the following calls work on another pull request than the one of the event, e.g. when scanning open pull requests
+  pull_request_payload_cache = pull_request_payload;
+}
+
+function get_event_name() {
   const context = get_context();
 
-  return new PullRequest(context.payload.pull_request);
+  return context.eventName;
 }
 
 async function fetch_config() {
   const context = get_context();
-  const octokit = get_octokit();
   const config_path = get_config_path();
-  const useLocal = get_use_local();
-  let content = '';
 
-  if (!useLocal) {
-    const { data: response_body } = await octokit.repos.getContent({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      path: config_path,
-      ref: context.ref,
-    });
+  const source = get_use_local()
+    ? { local: true, path: config_path }
+    : { owner: context.repo.owner, repo: context.repo.repo, path: config_path, ref: context.ref };
+
+  return load_config({ source, chain: [] });
+}
+
+async function fetch_codeowners({ path } = {}) {
+  const context = get_context();
+  const paths = path ? [ path ] : CODEOWNERS_PATHS;
 
-    content = Buffer.from(response_body.content, response_body.encoding).toString();
-  } else {
+  for (const codeowners_path of paths) {
+    const source = get_use_local()
+      ? { local: true, path: codeowners_path }
+      : { owner: context.repo.owner, repo: context.repo.repo, path: codeowners_path, ref: context.ref };
+
+    let content;
     try {
-      content = fs.readFileSync(config_path).toString();
+      content = await fetch_file_content(source);
+    } catch (error) {
+      if (error.status === 404 || error.message === LOCAL_FILE_MISSING) {
+        continue;
+      }
 
-      if (!content) {
-        throw new Error();
+      throw error;
+    }
+
+    core.info(`Using the CODEOWNERS file at ${codeowners_path}`);
+    return resolve_email_owners(parse_codeowners(content));
+  }
+
+  core.warning(`No CODEOWNERS file is found at ${paths.join(', ')}`);
+  return [];
+}
+
+async function fetch_gitattributes() {
+  const context = get_context();
+
+  const source = get_use_local()
+    ? { local: true, path: GITATTRIBUTES_PATH }
+    : { owner: context.repo.owner, repo: context.repo.repo, path: GITATTRIBUTES_PATH, ref: context.ref };
+
+  try {
+    return parse_gitattributes(await fetch_file_content(source));
+  } catch (error) {
+    if (error.status === 404 || error.message === LOCAL_FILE_MISSING) {
+      core.info(`No ${GITATTRIBUTES_PATH} file is found; no files are taken as generated or vendored`);
+      return [];
+    }
+
+    throw error;
+  }
+}
+
+async function fetch_availability_file({ path }) {
+  const context = get_context();
+
+  const source = get_use_local()
+    ? { local: true, path }
+    : { owner: context.repo.owner, repo: context.repo.repo, path, ref: context.ref };
+
+  try {
+    return parse_availability_file(await fetch_file_content(source), { path });
+  } catch (error) {
+    if (error.status === 404 || error.message === LOCAL_FILE_MISSING) {
+      core.warning(`No availability file is found at ${path}; ignoring it`);
+      return [];
+    }
+
+    throw error;
+  }
+}
+
+async function fetch_busy_reviewers(reviewers) {
+  const octokit = get_octokit();
+
+  // Teams have no status, so only individuals who set their GitHub status as busy are returned
+  const [ individuals ] = split_reviewers(reviewers);
+  if (individuals.length === 0) {
+    return [];
+  }
+
+  const variables = Object.fromEntries(individuals.map((login, index) => [ `login${index}`, login ]));
+  const query = `
+    query (${individuals.map((login, index) => `$login${index}: String!`).join(', ')}) {
+      ${individuals.map((login, index) => `user${index}: user(login: $login${index}) { status { indicatesLimitedAvailability } }`).join('\n      ')}
+    }`;
+
+  const response = await octokit.graphql(query, variables);
+
+  return individuals.filter((login, index) => response?.[`user${index}`]?.status?.indicatesLimitedAvailability);
+}
+
+async function fetch_team_members(reviewers) {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  // Maps each "team:slug" to the logins of its members; teams that cannot be listed are left out so that they are requested as teams
+  const [ , teams ] = split_reviewers(reviewers);
+  const team_members = {};
+
+  for (const team of teams) {
+    if (!team_members_cache.has(team)) {
+      try {
+        const members = [];
+
+        const per_page = 100;
+        let page = 0;
+        let number_of_members_in_current_page;
+
+        do {
+          page += 1;
+
+          const { data: response_body } = await octokit.teams.listMembersInOrg({
+            org: context.repo.owner,
+            team_slug: team,
+            page,
+            per_page,
+          });
+
+          number_of_members_in_current_page = response_body.length;
+          members.push(...response_body.map((member) => member.login));
+
+        } while (number_of_members_in_current_page === per_page);
+
+        team_members_cache.set(team, members);
+      } catch (error) {
+        core.warning(`Failed to list the members of the team ${team}; requesting it as a team: ${error}`);
+        team_members_cache.set(team, undefined);
       }
-    } catch (error) {
-      core.debug(`Error when reading local file: ${error}`);
+    }
 
-      throw new Error(LOCAL_FILE_MISSING);
+    if (team_members_cache.get(team)) {
+      team_members['team:'.concat(team)] = team_members_cache.get(team);
     }
   }
 
-  return yaml.parse(content);
+  return team_members;
+}
+
+async function fetch_author_teams(reviewers) {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  // Returns the "team:slug" aliases the author of the pull request is an active member of
+  const [ , teams ] = split_reviewers(reviewers);
+  const author = get_pull_request_payload().user.login;
+
+  const author_teams = [];
+  for (const team of teams) {
+    try {
+      const { data: membership } = await octokit.teams.getMembershipForUserInOrg({
+        org: context.repo.owner,
+        team_slug: team,
+        username: author,
+      });
+
+      if (membership.state === 'active') {
+        author_teams.push('team:'.concat(team));
+      }
+    } catch (error) {
+      if (error.status !== 404) {
+        core.warning(`Failed to check if ${author} is a member of the team ${team}; taking it as not: ${error}`);
+      }
+    }
+  }
+
+  return author_teams;
 }
 
 async function fetch_changed_files() {
@@ -87,80 +266,247 @@ async function fetch_changed_files() {
     const { data: response_body } = await octokit.pulls.listFiles({
       owner: context.repo.owner,
       repo: context.repo.repo,
-      pull_number: context.payload.pull_request.number,
+      pull_number: get_pull_request_payload().number,
       page,
       per_page,
     });
 
     number_of_files_in_current_page = response_body.length;
-    changed_files.push(...response_body.map((file) => file.filename));
+    changed_files.push(...response_body.map(({ filename, status, additions, deletions, changes, previous_filename }) => ({
+      filename,
+      status,
+      additions,
+      deletions,
+      changes,
+      ...(previous_filename && { previous_filename }),
+    })));
 
   } while (number_of_files_in_current_page === per_page);
 
   return changed_files;
 }
 
-async function fetch_reviewers() {
+async function fetch_reviewers({ forget_removed_requests = false } = {}) {
+  const reviewers = new Set();
+  const approved_reviewers = new Set();
+
+  const eventNodes = await fetch_timeline_items();
+  const action_login = forget_removed_requests ? await fetch_action_login() : undefined;
+  eventNodes.forEach((timelineEvent) => {
+    const requested_reviewer = get_requested_reviewer(timelineEvent);
+
+    if (timelineEvent?.type === 'ReviewRequestRemovedEvent') {
+      // Removed requests are only forgotten when asked so that they can be requested again, unless they have approved.
+      // Requests removed by someone else than this action stay as they were removed on purpose.
+      const is_removed_by_action = timelineEvent.actor?.login === action_login;
+      if (forget_removed_requests && is_removed_by_action && requested_reviewer && !approved_reviewers.has(requested_reviewer)) {
+        reviewers.delete(requested_reviewer);
+      }
+    } else if (requested_reviewer) {
+      reviewers.add(requested_reviewer);
+    } else if (timelineEvent?.state && timelineEvent.state === 'APPROVED' && timelineEvent?.author?.login) {
+      reviewers.add(timelineEvent.author.login);
+      approved_reviewers.add(timelineEvent.author.login);
+    }
+  });
+
+  return [ ...reviewers ];
+}
+
+async function fetch_approvals() {
+  // Returns the latest approval of each reviewer along with the commit it was given on
+  const approvals = new Map();
+
+  const eventNodes = await fetch_timeline_items();
+  eventNodes.filter((timelineEvent) => timelineEvent?.author?.login && timelineEvent?.state).forEach((timelineEvent) => {
+    if (timelineEvent.state === 'APPROVED') {
+      approvals.set(timelineEvent.author.login, timelineEvent.commit?.oid);
+    } else if (timelineEvent.state === 'DISMISSED' || timelineEvent.state === 'CHANGES_REQUESTED') {
+      approvals.delete(timelineEvent.author.login);
+    }
+  });
+
+  return [ ...approvals ].map(([ reviewer, commit_sha ]) => ({ reviewer, commit_sha }));
+}
+
+async function fetch_changes_since(commit_sha) {
   const context = get_context();
   const octokit = get_octokit();
 
-  const reviewers = new Set();
-  const per_page = 100;
+  const { data: response_body } = await octokit.repos.compareCommits({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    base: commit_sha,
+    head: get_pull_request_payload().head.sha,
+  });
 
-  // GraphQL Docs: https://docs.github.com/en/graphql/reference/unions#pullrequesttimelineitems
-  // Pagination: https://github.com/octokit/plugin-paginate-graphql.js/?tab=readme-ov-file#usage
-  const response = await octokit.graphql.paginate(
-    `
-    query paginate($cursor: String, $repo: String!, $owner: String!, $number: Int!, $per_page: Int!) {
+  return (response_body.files ?? []).map(({ filename, status, changes, previous_filename }) => ({
+    filename,
+    status,
+    changes,
+    ...(previous_filename && { previous_filename }),
+  }));
+}
+
+async function fetch_file_history(paths) {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  // Looks up the latest commits to each file on the base branch along with the reviewers of their pull requests,
+  // limited to a number of files to keep it to a single query
+  const target_paths = paths.slice(0, MAX_FILE_HISTORY_FILES);
+  if (target_paths.length === 0) {
+    return {};
+  }
+
+  const variables = {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    oid: get_pull_request_payload().base.sha,
+    ...Object.fromEntries(target_paths.map((path, index) => [ `path${index}`, path ])),
+  };
+  const query = `
+    query ($owner: String!, $repo: String!, $oid: GitObjectID!, ${target_paths.map((path, index) => `$path${index}: String!`).join(', ')}) {
       repository(owner: $owner, name: $repo) {
-          pullRequest(number: $number) {
-              timelineItems(first: $per_page, after: $cursor, itemTypes: [REVIEW_REQUESTED_EVENT, PULL_REQUEST_REVIEW]) {
-                  nodes {
-                      ... on ReviewRequestedEvent {
-                          requestedReviewer {
-                            ... on User {
-                                  login
-                            }
-                            ... on Team {
-                                  slug
-                            }
-                          }
-                      }
-                      ... on PullRequestReview {
-                        author {
-                          login
-                        }
-                        state
-                      }
-                  }
-                  pageInfo {
-                      hasNextPage
-                      endCursor
-                  }
-              }
+        object(oid: $oid) {
+          ... on Commit {
+            ${target_paths.map((path, index) => `file${index}: history(first: ${MAX_FILE_HISTORY_COMMITS}, path: $path${index}) { ...commits }`).join('\n            ')}
           }
+        }
       }
-  }`,
-    {
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      number: context.payload.pull_request.number,
-      per_page: per_page,
     }
-  );
+    fragment commits on CommitHistoryConnection {
+      nodes {
+        committedDate
+        author { user { login } }
+        associatedPullRequests(first: 1) { nodes { reviews(first: 20) { nodes { author { login } } } } }
+      }
+    }`;
 
-  const eventNodes = response?.repository?.pullRequest?.timelineItems?.nodes || [];
-  eventNodes.forEach((timelineEvent) => {
-    if (timelineEvent?.requestedReviewer?.slug) {
-      reviewers.add('team:'.concat(timelineEvent.requestedReviewer.slug));
-    } else if (timelineEvent?.requestedReviewer?.login) {
-      reviewers.add(timelineEvent.requestedReviewer.login);
-    } else if (timelineEvent?.state && timelineEvent.state === 'APPROVED' && timelineEvent?.author?.login) {
-      reviewers.add(timelineEvent.author.login);
-    }
+  const response = await octokit.graphql(query, variables);
+
+  return Object.fromEntries(target_paths.map((path, index) => [
+    path,
+    (response?.repository?.object?.[`file${index}`]?.nodes ?? []).map((commit) => ({
+      author: commit.author?.user?.login,
+      reviewers: [ ...new Set((commit.associatedPullRequests?.nodes?.[0]?.reviews?.nodes ?? []).map((review) => review.author?.login).filter(Boolean)) ],
+      committed_at: commit.committedDate,
+    })),
+  ]));
+}
+
+async function fetch_review_load() {
+  // Counts pending review requests per reviewer across the open pull requests of the repository
+  const review_load = {};
+
+  (await fetch_open_pull_requests()).forEach((pull_request) => {
+    const requested = [
+      ...(pull_request.requested_reviewers ?? []).map((reviewer) => reviewer.login),
+      ...(pull_request.requested_teams ?? []).map((team) => 'team:'.concat(team.slug)),
+    ];
+    requested.forEach((reviewer) => {
+      review_load[reviewer] = (review_load[reviewer] ?? 0) + 1;
+    });
   });
 
-  return [ ...reviewers ];
+  return review_load;
+}
+
+async function fetch_rotation_state({ storage = get_default_rotation_storage() } = {}) {
+  let serialized_state;
+
+  switch (storage) {
+    case 'file':
+      if (fs.existsSync(ROTATION_STATE_FILE)) {
+        serialized_state = fs.readFileSync(ROTATION_STATE_FILE).toString();
+      }
+      break;
+
+    case 'variable':
+      serialized_state = (await fetch_rotation_variable())?.value;
+      break;
+
+    case 'issue': {
+      const issue = await fetch_rotation_issue();
+      serialized_state = issue?.body?.match(ROTATION_STATE_ISSUE_MARKER_PATTERN)?.[1];
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown rotation storage: ${storage}`);
+  }
+
+  if (!serialized_state) {
+    core.info(`No rotation state is stored in the ${storage} yet; starting a new rotation`);
+    return EMPTY_ROTATION_STATE;
+  }
+
+  try {
+    return { ...EMPTY_ROTATION_STATE, ...JSON.parse(serialized_state) };
+  } catch (error) {
+    core.warning(`The rotation state stored in the ${storage} is corrupted; starting a new rotation: ${error}`);
+    return EMPTY_ROTATION_STATE;
+  }
+}
+
+async function save_rotation_state(rotation_state, { storage = get_default_rotation_storage() } = {}) {
+  const context = get_context();
+  const octokit = get_octokit();
+  const serialized_state = JSON.stringify(rotation_state);
+
+  switch (storage) {
+    case 'file':
+      fs.writeFileSync(ROTATION_STATE_FILE, serialized_state);
+      return;
+
+    case 'variable': {
+      // Repository variables can't be written with the default GITHUB_TOKEN, a PAT is required
+      // ref: https://docs.github.com/en/rest/actions/variables?apiVersion=2022-11-28#update-a-repository-variable
+      const method = (await fetch_rotation_variable()) ? 'PATCH' : 'POST';
+      const route = method === 'PATCH' ? '/repos/{owner}/{repo}/actions/variables/{name}' : '/repos/{owner}/{repo}/actions/variables';
+      await octokit.request(`${method} ${route}`, {
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        name: ROTATION_STATE_VARIABLE,
+        value: serialized_state,
+      });
+      return;
+    }
+
+    case 'issue': {
+      const body = `This issue stores the reviewer rotation of Auto Request Review, please do not edit it.\n<!-- ${ROTATION_STATE_ISSUE_MARKER} ${serialized_state} -->`;
+      const issue = await fetch_rotation_issue();
+
+      if (issue) {
+        await octokit.issues.update({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          issue_number: issue.number,
+          body,
+        });
+        return;
+      }
+
+      // The issue is closed right away to keep it out of the way
+      const { data: created_issue } = await octokit.issues.create({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        title: 'Auto Request Review rotation state',
+        body,
+        labels: [ ROTATION_STATE_ISSUE_LABEL ],
+      });
+      await octokit.issues.update({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        issue_number: created_issue.number,
+        state: 'closed',
+      });
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown rotation storage: ${storage}`);
+  }
 }
 
 function split_reviewers(reviewers) {
@@ -234,16 +580,191 @@ async function assign_reviewers(reviewers) {
   return octokit.pulls.requestReviewers({
     owner: context.repo.owner,
     repo: context.repo.repo,
-    pull_number: context.payload.pull_request.number,
+    pull_number: get_pull_request_payload().number,
+    reviewers: individuals,
+    team_reviewers: teams,
+  });
+}
+
+async function fetch_pending_reviewers({ requested_by_action = false } = {}) {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  // Reviewers whose review is still requested, i.e. who have neither reviewed nor been removed since
+  const { data: response_body } = await octokit.pulls.listRequestedReviewers({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: get_pull_request_payload().number,
+  });
+
+  const pending_reviewers = [
+    ...(response_body.users ?? []).map((user) => user.login),
+    ...(response_body.teams ?? []).map((team) => `team:${team.slug}`),
+  ];
+
+  if (!requested_by_action) {
+    return pending_reviewers;
+  }
+
+  // The latest request of each reviewer tells who requested them
+  const requesters = new Map();
+  (await fetch_timeline_items()).filter((timelineEvent) => timelineEvent?.type === 'ReviewRequestedEvent').forEach((timelineEvent) => {
+    requesters.set(get_requested_reviewer(timelineEvent), timelineEvent.actor?.login);
+  });
+
+  const action_login = await fetch_action_login();
+  return pending_reviewers.filter((reviewer) => requesters.get(reviewer) === action_login);
+}
+
+async function remove_reviewers(reviewers) {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  const [ individuals, teams ] = split_reviewers(reviewers);
+
+  return octokit.pulls.removeRequestedReviewers({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: get_pull_request_payload().number,
     reviewers: individuals,
     team_reviewers: teams,
   });
 }
 
+async function update_labels({ add = [], remove = [] }) {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  if (add.length > 0) {
+    await octokit.issues.addLabels({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: get_pull_request_payload().number,
+      labels: add,
+    });
+  }
+
+  for (const name of remove) {
+    try {
+      await octokit.issues.removeLabel({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        issue_number: get_pull_request_payload().number,
+        name,
+      });
+    } catch (error) {
+      // The label may have been removed in the meantime
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+}
+
+async function fetch_open_pull_requests() {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  const pull_requests = [];
+
+  const per_page = 100;
+  let page = 0;
+  let number_of_pull_requests_in_current_page;
+
+  do {
+    page += 1;
+
+    const { data: response_body } = await octokit.pulls.list({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      state: 'open',
+      page,
+      per_page,
+    });
+
+    number_of_pull_requests_in_current_page = response_body.length;
+    pull_requests.push(...response_body);
+
+  } while (number_of_pull_requests_in_current_page === per_page);
+
+  return pull_requests;
+}
+
+async function fetch_review_requests() {
+  // Returns the pending review requests along with when each of them was last made
+  const pending_reviewers = await fetch_pending_reviewers();
+
+  const requested_at = {};
+  const eventNodes = await fetch_timeline_items();
+  eventNodes.filter((timelineEvent) => timelineEvent?.type === 'ReviewRequestedEvent').forEach((timelineEvent) => {
+    const requested_reviewer = get_requested_reviewer(timelineEvent);
+    if (requested_reviewer) {
+      requested_at[requested_reviewer] = timelineEvent.createdAt;
+    }
+  });
+
+  return pending_reviewers.map((reviewer) => ({ reviewer, requested_at: requested_at[reviewer] }));
+}
+
+async function fetch_escalated_reviewers() {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  const comments = [];
+
+  const per_page = 100;
+  let page = 0;
+  let number_of_comments_in_current_page;
+
+  do {
+    page += 1;
+
+    const { data: response_body } = await octokit.issues.listComments({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: get_pull_request_payload().number,
+      page,
+      per_page,
+    });
+
+    number_of_comments_in_current_page = response_body.length;
+    comments.push(...response_body);
+
+  } while (number_of_comments_in_current_page === per_page);
+
+  // Each escalation comment records the reviewers it escalated so that they are escalated only once
+  return [ ...new Set(comments.flatMap((comment) => parse_escalation_marker(comment.body ?? ''))) ];
+}
+
+async function post_escalation({ overdue_reviewers, added_reviewers, after_hours, mention = true }) {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  const format = (reviewer) => {
+    if (!mention) {
+      return `\`${reviewer}\``;
+    }
+    return reviewer.startsWith('team:') ? `@${context.repo.owner}/${reviewer.replace('team:', '')}` : `@${reviewer}`;
+  };
+
+  let body = `<!-- ${ESCALATION_MARKER} ${JSON.stringify(overdue_reviewers)} -->\n`;
+  body += `The review requested from ${overdue_reviewers.map(format).join(', ')} has been pending for more than ${after_hours} hours.`;
+  if (added_reviewers.length) {
+    body += ` Also requested review from ${added_reviewers.map(format).join(', ')}.`;
+  }
+
+  return octokit.issues.createComment({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: get_pull_request_payload().number,
+    body,
+  });
+}
+
 function get_comment_footer() {
   // Returns a unique to the pull request id used to identify the action's comment
   const context = get_context();
-  const commentKey = Buffer.from(`${context.repo.repo}-${context.payload.pull_request.number}`).toString('base64');
+  const commentKey = Buffer.from(`${context.repo.repo}-${get_pull_request_payload().number}`).toString('base64');
   return `Comment added by Auto Reviewer Robot 🤖: ${commentKey}`;
 }
 
@@ -254,7 +775,7 @@ async function get_existing_comment() {
   const response = await octokit.issues.listComments({
     owner: context.repo.owner,
     repo: context.repo.repo,
-    issue_number: context.payload.pull_request.number,
+    issue_number: get_pull_request_payload().number,
   });
 
   const robotFooter = get_comment_footer();
@@ -271,7 +792,7 @@ async function get_existing_comment() {
   return robotComments.shift();
 }
 
-function get_missing_access_message(reviewers) {
+function get_missing_access_message(reviewers, explanation) {
   let message = 'The following reviewers did not have access to be added as reviewers, please review their access:\n';
 
   // Split aliases based on team vs individual
@@ -290,19 +811,27 @@ function get_missing_access_message(reviewers) {
     });
   }
 
+  if (explanation) {
+    message += `\n${explanation}\n`;
+  }
+
   message += `\n${get_comment_footer()}`;
 
   return message;
 }
 
-async function post_notification(reviewers, comment) {
+function get_explanation_message(explanation) {
+  return `${explanation}\n\n${get_comment_footer()}`;
+}
+
+async function post_notification(reviewers, comment, explanation) {
   const context = get_context();
   const octokit = get_octokit();
 
-  if (reviewers.length) {
+  if (reviewers.length || explanation) {
     // If we have a list of reviewers without access, prepare a message
-    // with the reviewers.
-    const message = get_missing_access_message(reviewers);
+    // with the reviewers, followed by why the reviewers were picked in explain mode.
+    const message = reviewers.length ? get_missing_access_message(reviewers, explanation) : get_explanation_message(explanation);
 
     // If the action has already created a comment, only update the comment
     // if the list of reviewers has changed.
@@ -323,7 +852,7 @@ async function post_notification(reviewers, comment) {
     await octokit.issues.createComment({
       owner: context.repo.owner,
       repo: context.repo.repo,
-      issue_number: context.payload.pull_request.number,
+      issue_number: get_pull_request_payload().number,
       body: message,
     });
   } else if (comment?.id) {
@@ -345,11 +874,290 @@ let token_cache;
 let config_path_cache;
 let use_local_cache;
 let octokit_cache;
+let pull_request_payload_cache;
+let action_login_cache;
+const team_members_cache = new Map();
+
+function get_requested_reviewer(timelineEvent) {
+  // Teams are requested as "team:<slug>" and users by their login
+  const { slug, login } = timelineEvent?.requestedReviewer ?? {};
+  return slug ? 'team:'.concat(slug) : login;
+}
+
+async function fetch_timeline_items() {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  const per_page = 100;
+
+  // GraphQL Docs: https://docs.github.com/en/graphql/reference/unions#pullrequesttimelineitems
+  // Pagination: https://github.com/octokit/plugin-paginate-graphql.js/?tab=readme-ov-file#usage
+  const response = await octokit.graphql.paginate(
+    `
+    query paginate($cursor: String, $repo: String!, $owner: String!, $number: Int!, $per_page: Int!) {
+      repository(owner: $owner, name: $repo) {
+          pullRequest(number: $number) {
+              timelineItems(first: $per_page, after: $cursor, itemTypes: [REVIEW_REQUESTED_EVENT, REVIEW_REQUEST_REMOVED_EVENT, PULL_REQUEST_REVIEW]) {
+                  nodes {
+                      type: __typename
+                      ... on ReviewRequestedEvent {
+                          createdAt
+                          actor {
+                            login
+                          }
+                          requestedReviewer {
+                            ... on User {
+                                  login
+                            }
+                            ... on Team {
+                                  slug
+                            }
+                          }
+                      }
+                      ... on ReviewRequestRemovedEvent {
+                          actor {
+                            login
+                          }
+                          requestedReviewer {
+                            ... on User {
+                                  login
+                            }
+                            ... on Team {
+                                  slug
+                            }
+                          }
+                      }
+                      ... on PullRequestReview {
+                        author {
+                          login
+                        }
+                        state
+                        commit {
+                          oid
+                        }
+                      }
+                  }
+                  pageInfo {
+                      hasNextPage
+                      endCursor
+                  }
+              }
+          }
+      }
+  }`,
+    {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      number: get_pull_request_payload().number,
+      per_page: per_page,
+    }
+  );
+
+  return response?.repository?.pullRequest?.timelineItems?.nodes || [];
+}
+
+async function load_config({ source, chain }) {
+  const name = describe_config_source(source);
+
+  if (chain.includes(name)) {
+    throw new Error(`Configuration files extend each other in a cycle: ${[ ...chain, name ].join(' -> ')}`);
+  }
+
+  const content = await fetch_file_content(source);
+  // Annotations can only point at files in the repository running the action, so bases are labeled by their reference
+  const config = parse_config(content, { file: chain.length === 0 ? source.path : name });
+
+  if (config.extends === undefined) {
+    return config;
+  }
+
+  const { extends: base_references, ...own_config } = config;
+
+  // Bases are merged in the listed order, then the extending config is merged over all of them
+  let merged_config = {};
+  for (const base_reference of [].concat(base_references)) {
+    const base_source = parse_extends_reference(base_reference, source);
+
+    let base_config;
+    try {
+      base_config = await load_config({ source: base_source, chain: [ ...chain, name ] });
+    } catch (error) {
+      if (error.status === 404 || error.message === LOCAL_FILE_MISSING) {
+        throw new Error(`Base configuration "${base_reference}" extended by ${name} is not found`);
+      }
+
+      throw error;
+    }
+
+    merged_config = merge_configs(merged_config, base_config);
+  }
+
+  return merge_configs(merged_config, own_config);
+}
+
+async function fetch_file_content({ local, owner, repo, path, ref }) {
+  if (local) {
+    try {
+      const content = fs.readFileSync(path).toString();
+
+      if (!content) {
+        throw new Error();
+      }
+
+      return content;
+    } catch (error) {
+      core.debug(`Error when reading local file: ${error}`);
+
+      throw new Error(LOCAL_FILE_MISSING);
+    }
+  }
+
+  const octokit = get_octokit();
+  const { data: response_body } = await octokit.repos.getContent({ owner, repo, path, ref });
+
+  return Buffer.from(response_body.content, response_body.encoding).toString();
+}
+
+async function resolve_email_owners(codeowners) {
+  const octokit = get_octokit();
+
+  const emails = [ ...new Set(codeowners.flatMap(({ owners }) => owners.filter(is_email_owner))) ];
+  const logins = {};
+
+  // Only users who made their email public can be found, the others are dropped with a warning
+  await Promise.all(emails.map((email) => octokit.search.users({ q: `${email} in:email` }).then((response) => {
+    logins[email] = response?.data?.items?.[0]?.login;
+  }).catch((error) => core.debug(`Error when searching a user by email: ${error}`))));
+
+  emails.filter((email) => !logins[email]).forEach((email) => {
+    core.warning(`No GitHub user with the public email ${email} is found; ignoring the CODEOWNERS owner`);
+  });
+
+  return codeowners.map(({ pattern, globs, owners }) => ({
+    pattern,
+    globs,
+    reviewers: owners.map((owner) => (is_email_owner(owner) ? logins[owner] : owner)).filter((reviewer) => reviewer),
+  }));
+}
+
+function parse_extends_reference(reference, parent_source) {
+  // "owner/repo:path@ref" points at another repository, where "@ref" is optional and defaults to its default branch
+  const remote_match = reference.match(/^([^/:@\s]+)\/([^/:@\s]+):([^@]+)(?:@(.+))?$/);
+  if (remote_match) {
+    const [ , owner, repo, path, ref ] = remote_match;
+    return { owner, repo, path, ref };
+  }
+
+  if (reference.includes(':')) {
+    throw new Error(`Invalid "extends" reference "${reference}"; expected "owner/repo:path@ref" or a path`);
+  }
+
+  // Anything else is a path from the root of the repository of the extending config (at the same ref unless "@ref" is given),
+  // or from the working directory with "use_local"; it is not relative to the extending config
+  if (parent_source.local) {
+    return { local: true, path: reference };
+  }
+
+  const [ path, ref ] = reference.split('@');
+  return { owner: parent_source.owner, repo: parent_source.repo, path, ref: ref ?? parent_source.ref };
+}
+
+const ROTATION_STATE_ISSUE_MARKER = 'auto-request-review:rotation-state';
+const ROTATION_STATE_ISSUE_MARKER_PATTERN = new RegExp(`<!-- ${ROTATION_STATE_ISSUE_MARKER} (.*) -->`);
+
+const MAX_FILE_HISTORY_FILES = 20;
+const MAX_FILE_HISTORY_COMMITS = 30;
+
+const ESCALATION_MARKER = 'auto-request-review:escalated';
+const ESCALATION_MARKER_PATTERN = new RegExp(`<!-- ${ESCALATION_MARKER} (.*) -->`);
+
+function get_default_rotation_storage() {
+  return get_use_local() ? 'file' : 'issue';
+}
+
+async function fetch_rotation_issue() {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  const { data: issues } = await octokit.issues.listForRepo({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    labels: ROTATION_STATE_ISSUE_LABEL,
+    state: 'all',
+  });
+
+  return issues.find((issue) => ROTATION_STATE_ISSUE_MARKER_PATTERN.test(issue.body ?? ''));
+}
+
+async function fetch_rotation_variable() {
+  const context = get_context();
+  const octokit = get_octokit();
+
+  try {
+    const { data: variable } = await octokit.request('GET /repos/{owner}/{repo}/actions/variables/{name}', {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      name: ROTATION_STATE_VARIABLE,
+    });
+    return variable;
+  } catch (error) {
+    if (error.status === 404) {
+      return undefined;
+    }
+
+    throw error;
+  }
+}
+
+async function fetch_action_login() {
+  if (action_login_cache) {
+    return action_login_cache;
+  }
+
+  // The default GITHUB_TOKEN can't look itself up, and its requests are made by the "github-actions" bot
+  try {
+    const { viewer } = await get_octokit().graphql('query { viewer { login } }');
+    action_login_cache = viewer.login.replace(/\[bot\]$/, '');
+  } catch (error) {
+    core.debug(`Failed to look up the user of the token; taking it as the "github-actions" bot: ${error}`);
+    action_login_cache = 'github-actions';
+  }
+
+  return action_login_cache;
+}
+
+function parse_escalation_marker(body) {
+  // Anyone can write a comment looking like a marker, so markers that don't hold a list of reviewers are ignored
+  const serialized_reviewers = body.match(ESCALATION_MARKER_PATTERN)?.[1];
+  if (!serialized_reviewers) {
+    return [];
+  }
+
+  try {
+    const reviewers = JSON.parse(serialized_reviewers);
+    return Array.isArray(reviewers) ? reviewers.filter((reviewer) => typeof reviewer === 'string') : [];
+  } catch (error) {
+    core.debug(`Ignoring a malformed escalation marker: ${error}`);
+    return [];
+  }
+}
+
+function describe_config_source({ local, owner, repo, path, ref }) {
+  if (local) {
+    return path;
+  }
+
+  return `${owner}/${repo}:${path}${ref ? `@${ref}` : ''}`;
+}
 
 function get_context() {
   return context_cache || (context_cache = github.context);
 }
 
+function get_pull_request_payload() {
+  return pull_request_payload_cache || get_context().payload.pull_request;
+}
+
 function get_token() {
   return token_cache || (token_cache = core.getInput('token'));
 }
@@ -378,20 +1186,46 @@ function clear_cache() {
   context_cache = undefined;
   token_cache = undefined;
   config_path_cache = undefined;
+  use_local_cache = undefined;
   octokit_cache = undefined;
+  pull_request_payload_cache = undefined;
+  action_login_cache = undefined;
+  team_members_cache.clear();
 }
 
 module.exports = {
   get_pull_request,
+  use_pull_request,
+  get_event_name,
   fetch_config,
+  fetch_codeowners,
+  fetch_gitattributes,
+  fetch_availability_file,
+  fetch_busy_reviewers,
+  fetch_team_members,
+  fetch_author_teams,
   fetch_changed_files,
   fetch_reviewers,
+  fetch_approvals,
+  fetch_changes_since,
+  fetch_file_history,
+  fetch_review_load,
+  fetch_rotation_state,
+  save_rotation_state,
   split_reviewers,
   filter_only_collaborators,
   assign_reviewers,
+  fetch_pending_reviewers,
+  remove_reviewers,
+  update_labels,
+  fetch_open_pull_requests,
+  fetch_review_requests,
+  fetch_escalated_reviewers,
+  post_escalation,
   get_comment_footer,
   get_existing_comment,
   get_missing_access_message,
+  get_explanation_message,
   post_notification,
   clear_cache,
 };
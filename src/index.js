@@ -2,16 +2,35 @@
 
 const core = require('@actions/core');
 const { LOCAL_FILE_MISSING } = require('./constants');
+const { format_problem, select_branch_config } = require('./config');
+const { compute_expertise, record_rotation } = require('./strategies');
+const { build_explanation, render_explanation } = require('./explanation');
+const { identify_unavailable_reviewers, identify_reviewers_in_working_hours } = require('./availability');
+const { write_summary } = require('./summary');
 const github = require('./github'); // Don't destructure this object to stub with sinon in tests
 
 const {
   fetch_other_group_members,
+  exclude_ignored_files,
   identify_reviewers_by_changed_files,
+  identify_file_rule_pools,
+  identify_substitute_pools,
   identify_reviewers_by_author,
+  identify_reviewers_by_labels,
+  identify_reviewers_by_conditions,
+  identify_required_reviewers,
+  explain_reviewers,
+  identify_matched_rules,
   should_request_review,
   fetch_default_reviewers,
   randomly_pick_reviewers,
   fetch_all_reviewers,
+  identify_teams,
+  identify_author_teams_to_check,
+  identify_approvers_to_rerequest,
+  identify_size_tier,
+  identify_escalation_reviewers,
+  identify_stale_reviewers,
 } = require('./reviewer');
 
 // Helper for checking the state of the action parameter to validate all reviewers.
@@ -20,70 +39,288 @@ function get_validate_all_reviewers() {
   return validate_all_reviewers_cache ?? (validate_all_reviewers_cache = core.getInput('validate_all') === 'true');
 }
 
+// Helper for checking the state of the action parameter to only compute reviewers without touching the pull request.
+let dry_run_cache;
+function get_dry_run() {
+  return dry_run_cache ?? (dry_run_cache = core.getInput('dry_run') === 'true');
+}
+
+// Helper for checking the state of the action parameter to explain why each reviewer was picked.
+let explain_cache;
+function get_explain() {
+  return explain_cache ?? (explain_cache = core.getInput('explain') === 'true');
+}
+
+// Sets every output at each exit path so that later steps can always rely on them
+function set_outputs({ reviewers = [], reviewer_tiers = {}, missing_access = [], matched_rules = [], skipped_reason = '' }) {
+  const [ individuals, teams ] = github.split_reviewers(reviewers);
+
+  core.setOutput('requested_reviewers', JSON.stringify(individuals));
+  core.setOutput('requested_teams', JSON.stringify(teams));
+  core.setOutput('reviewer_tiers', JSON.stringify(reviewer_tiers));
+  core.setOutput('missing_access', JSON.stringify(missing_access));
+  core.setOutput('matched_rules', JSON.stringify(matched_rules));
+  core.setOutput('skipped_reason', skipped_reason);
+}
+
 function clear_cache() {
   validate_all_reviewers_cache = undefined;
+  dry_run_cache = undefined;
+  explain_cache = undefined;
 }
 
-async function run() {
-  core.info('Fetching configuration file from the source branch');
+// Events with no pull request in their payload, on which the open pull requests are scanned for reviews to escalate instead
+const ESCALATION_EVENTS = [ 'schedule', 'workflow_dispatch' ];
 
-  let config;
+async function load_config() {
+  core.info('Fetching configuration file from the source branch');
 
   try {
-    config = await github.fetch_config();
+    return await github.fetch_config();
   } catch (error) {
     if (error.status === 404) {
       core.warning('No configuration file is found in the base branch; terminating the process');
-      return;
+      set_outputs({ skipped_reason: 'config_not_found' });
+      return undefined;
     }
 
     if (error.message === LOCAL_FILE_MISSING) {
       core.warning('No configuration file is found locally; terminating the process');
-      return;
+      set_outputs({ skipped_reason: 'config_not_found' });
+      return undefined;
+    }
+
+    if (error.problems) {
+      // Annotate each problem on its own so that they show up next to the offending lines
+      error.problems.forEach((problem) => core.error(format_problem(problem), {
+        title: 'Invalid auto request review configuration',
+        file: problem.file,
+        startLine: problem.line,
+        startColumn: problem.column,
+      }));
+      set_outputs({ skipped_reason: 'invalid_config' });
     }
 
     throw error;
   }
+}
+
+async function fetch_unavailable_reviewers({ config, reviewers }) {
+  const { unavailable = [], github_status, file } = config.availability;
+
+  const entries = [ ...unavailable ];
+  if (file) {
+    entries.push(...await github.fetch_availability_file({ path: file }));
+  }
+
+  const busy_reviewers = github_status ? await github.fetch_busy_reviewers(reviewers) : [];
+
+  return [ ...new Set([ ...identify_unavailable_reviewers({ entries, reviewers }), ...busy_reviewers ]) ];
+}
+
+async function expand_teams({ config, codeowners }) {
+  // Teams are expanded like groups so that their members are picked, excluded and de-duplicated like individuals.
+  // They are kept apart from the groups, which are the only ones assigned with "enable_group_assignment: true".
+  core.info('Expanding teams into their members');
+  const team_members = await github.fetch_team_members(identify_teams({ config, codeowners }));
+
+  return { ...config, team_members };
+}
+
+async function fetch_author_teams(config) {
+  // Only the teams set as "per_author" entries or groups to assign are looked up
+  const teams = identify_author_teams_to_check(config);
+  if (teams.length === 0) {
+    return [];
+  }
+
+  core.info('Checking the teams the author belongs to');
+  const author_teams = await github.fetch_author_teams(teams);
+  core.info(`Teams the author belongs to: ${author_teams.join(', ')}`);
+
+  return author_teams;
+}
+
+async function fetch_relevant_changed_files({ config, gitattributes }) {
+  const changed_files = await github.fetch_changed_files();
+  const relevant_files = exclude_ignored_files({ config, changed_files, gitattributes });
+
+  if (relevant_files.length < changed_files.length) {
+    const relevant_filenames = relevant_files.map(({ filename }) => filename);
+    const ignored_files = changed_files.map(({ filename }) => filename).filter((filename) => !relevant_filenames.includes(filename));
+    core.info(`Ignoring changed files ${ignored_files.join(', ')}`);
+  }
+
+  return [ relevant_files, changed_files ];
+}
+
+async function fetch_gitattributes(config) {
+  if (!config.options?.ignore_generated_files) {
+    return [];
+  }
+
+  core.info('Fetching the .gitattributes file');
+  return github.fetch_gitattributes();
+}
+
+async function apply_size_tier({ config, changed_files, labels = [] }) {
+  // The tier the pull request falls in sets the number of reviewers and labels the pull request with its size
+  const size_tier = identify_size_tier({ config, changed_files });
+  if (!size_tier) {
+    return config;
+  }
+
+  core.info(`Changed ${size_tier.changed_lines} lines, matching the size tier of ${size_tier.max_lines ?? 'any'} lines at most`);
+
+  const size_labels = config.options.size_tiers.map(({ label }) => label).filter((label) => label);
+  const labels_to_add = size_tier.label && !labels.includes(size_tier.label) ? [ size_tier.label ] : [];
+  const labels_to_remove = size_labels.filter((label) => label !== size_tier.label && labels.includes(label));
+
+  if (labels_to_add.length > 0 || labels_to_remove.length > 0) {
+    if (get_dry_run()) {
+      core.info(`Dry run; would add labels ${labels_to_add.join(', ') || 'none'} and remove labels ${labels_to_remove.join(', ') || 'none'}`);
+    } else {
+      core.info(`Adding labels ${labels_to_add.join(', ') || 'none'} and removing labels ${labels_to_remove.join(', ') || 'none'}`);
+      await github.update_labels({ add: labels_to_add, remove: labels_to_remove });
+    }
+  }
+
+  if (size_tier.reviewers === undefined) {
+    return config;
+  }
+
+  return {
+    ...config,
+    options: {
+      ...config.options,
+      number_of_reviewers: size_tier.reviewers,
+    },
+  };
+}
+
+async function run() {
+  if (ESCALATION_EVENTS.includes(github.get_event_name())) {
+    return run_escalation();
+  }
 
-  const { title, is_draft, author } = github.get_pull_request();
+  let config = await load_config();
+  if (!config) {
+    return;
+  }
+
+  const { title, is_draft, body, head_ref, author_association, author, labels, base_ref } = github.get_pull_request();
+  const pull_request = { title, body, head_ref, author_association };
+  config = select_branch_config(config, base_ref);
 
-  if (!should_request_review({ title, is_draft, config })) {
+  if (!should_request_review({ ...pull_request, is_draft, config })) {
     core.info('Matched the ignoring rules; terminating the process');
+    set_outputs({ skipped_reason: 'ignored' });
     return;
   }
 
+  const gitattributes = await fetch_gitattributes(config);
+
   core.info('Fetching changed files in the pull request');
-  const changed_files = await github.fetch_changed_files();
+  const [ changed_files, all_changed_files ] = await fetch_relevant_changed_files({ config, gitattributes });
+
+  if (config.options?.skip_if_only_ignored_files && all_changed_files.length > 0 && changed_files.length === 0) {
+    core.info('Only ignored files are changed; terminating the process');
+    set_outputs({ skipped_reason: 'only_ignored_files' });
+    return;
+  }
+
+  if (config.options?.size_tiers) {
+    config = await apply_size_tier({ config, changed_files, labels });
+  }
+
+  let codeowners = [];
+  if (config.options?.codeowners) {
+    core.info('Fetching the CODEOWNERS file');
+    codeowners = await github.fetch_codeowners({ path: config.options.codeowners === true ? undefined : config.options.codeowners });
+  }
+
+  if (config.options?.expand_teams) {
+    config = await expand_teams({ config, codeowners });
+  }
+
+  const author_teams = await fetch_author_teams(config);
+
+  // In sync mode, reviewers whose requests have been removed can be requested again once their rules match again
+  const sync_mode = config.options?.sync_mode ?? false;
 
   core.info('Fetching reviewers');
-  const requested_approved_reviewers = await github.fetch_reviewers();
+  const requested_approved_reviewers = await github.fetch_reviewers({ forget_removed_requests: sync_mode });
   core.info(`Aliases already requested or approved: ${requested_approved_reviewers.join(', ')}`);
 
   core.info('Identifying reviewers based on the changed files');
-  const reviewers_based_on_files = identify_reviewers_by_changed_files({ config, changed_files, excludes: [ author ] });
+  const reviewers_based_on_files = identify_reviewers_by_changed_files({ config, changed_files, excludes: [ author ], codeowners });
+  const file_rule_pools = identify_file_rule_pools({ config, changed_files, excludes: [ author ], codeowners });
+  const reviewers_in_file_rule_pools = file_rule_pools.flatMap((pool) => pool.reviewers);
 
   core.info('Identifying reviewers based on the author');
-  const reviewers_based_on_author = identify_reviewers_by_author({ config, author });
+  const reviewers_based_on_author = identify_reviewers_by_author({ config, author, author_teams });
+
+  core.info('Identifying reviewers based on the labels');
+  const reviewers_based_on_labels = identify_reviewers_by_labels({ config, labels, excludes: [ author ] });
+
+  core.info('Identifying reviewers based on the conditions');
+  const reviewers_based_on_conditions = identify_reviewers_by_conditions({ config, pull_request, excludes: [ author ] });
+
+  core.info('Identifying required reviewers based on the changed files, the author, the labels and the conditions');
+  const required_reviewers = identify_required_reviewers({ config, changed_files, author, author_teams, labels, pull_request, codeowners });
 
   core.info('Adding other group members to reviewers if group assignment feature is on');
-  const reviewers_from_same_teams = fetch_other_group_members({ config, author });
+  const reviewers_from_same_teams = fetch_other_group_members({ config, author, author_teams });
 
-  let reviewers = [ ...new Set([ ...reviewers_based_on_files, ...reviewers_based_on_author, ...reviewers_from_same_teams ]) ];
+  const reasons = explain_reviewers({ config, changed_files, author, author_teams, labels, pull_request, codeowners });
+  const matched_rules = identify_matched_rules({ config, changed_files, author, author_teams, labels, pull_request, codeowners });
+
+  const matched_reviewers = [ ...new Set([
+    ...reviewers_based_on_files,
+    ...reviewers_based_on_author,
+    ...reviewers_based_on_labels,
+    ...reviewers_based_on_conditions,
+    ...reviewers_from_same_teams,
+  ]) ];
+  let reviewers = [ ...new Set([ ...matched_reviewers, ...reviewers_in_file_rule_pools ]) ];
 
   if (reviewers.length === 0) {
     core.info('Matched no reviewers');
     const default_reviewers = fetch_default_reviewers({ config, excludes: [ author ] });
 
-    if (default_reviewers.length === 0) {
-      core.info('No default reviewers are matched; terminating the process');
-      return;
+    if (default_reviewers.length > 0) {
+      core.info('Falling back to the default reviewers');
+      reviewers.push(...default_reviewers);
+      default_reviewers.forEach((reviewer) => {
+        reasons[reviewer] = [ 'listed in `reviewers.defaults` as no rules matched' ];
+      });
     }
+  }
 
-    core.info('Falling back to the default reviewers');
-    reviewers.push(...default_reviewers);
+  if (sync_mode) {
+    core.info('Sync mode is on, looking for requested reviewers whose rules no longer match');
+    const pending_reviewers = await github.fetch_pending_reviewers({ requested_by_action: true });
+    const stale_reviewers = identify_stale_reviewers({ config, pending_reviewers, candidates: reviewers, codeowners });
+
+    if (stale_reviewers.length === 0) {
+      core.info('No stale reviewers to remove');
+    } else if (get_dry_run()) {
+      core.info(`Dry run; would remove stale reviewers ${stale_reviewers.join(', ')}`);
+    } else {
+      core.info(`Removing stale reviewers ${stale_reviewers.join(', ')}`);
+      await github.remove_reviewers(stale_reviewers);
+    }
+  }
+
+  if (reviewers.length === 0) {
+    core.info('No default reviewers are matched; terminating the process');
+    set_outputs({ matched_rules, skipped_reason: 'no_reviewers_matched' });
+    return;
   }
 
   core.info(`Possible Reviewers ${reviewers.join(', ')}, prepare filtering out already requested reviewers or approved reviewers`);
+  // In sync mode, the matching reviewers already requested or approved keep their slots of "number_of_reviewers" on later runs
+  const requested_candidates = sync_mode ? reviewers.filter((reviewer) => requested_approved_reviewers.includes(reviewer)) : [];
   reviewers = reviewers.filter((reviewer) => !requested_approved_reviewers.includes(reviewer));
 
   core.info(`Possible New Reviewers ${reviewers.join(', ')}, prepare to filter to only collaborators`);
@@ -107,23 +344,235 @@ async function run() {
     aliases_missing_access = [ ...aliases_missing_access, ...additional_missing_access ];
   }
 
+  let unavailable_reviewers = [];
+  if (config.availability) {
+    core.info('Checking the availability of the reviewers');
+    unavailable_reviewers = await fetch_unavailable_reviewers({ config, reviewers });
+    core.info(`Unavailable reviewers: ${unavailable_reviewers.join(', ')}`);
+    reviewers = reviewers.filter((reviewer) => !unavailable_reviewers.includes(reviewer));
+  }
+  const substitute_pools = identify_substitute_pools({ config, changed_files, author, author_teams, labels, pull_request, unavailable_reviewers, codeowners });
+
+  let review_load;
+  if (config.options?.selection_strategy === 'least_loaded') {
+    core.info('Fetching the number of pending review requests of each reviewer');
+    review_load = await github.fetch_review_load();
+  }
+
+  let rotation_state;
+  if (config.options?.selection_strategy === 'round_robin') {
+    core.info('Fetching the reviewer rotation state');
+    rotation_state = await github.fetch_rotation_state({ storage: config.options.rotation_storage });
+  }
+
+  let expertise;
+  if (config.options?.selection_strategy === 'expertise') {
+    core.info('Fetching the history of the changed files');
+    const file_history = await github.fetch_file_history(changed_files.map(({ filename }) => filename));
+    expertise = compute_expertise({ file_history });
+  }
+
+  // Reviewers of the rules with a count are only requested when picked for their rules, unless matched otherwise.
+  // Those already requested or approved count towards the rules they belong to.
+  const rule_pools = [ ...file_rule_pools, ...substitute_pools ].map((pool) => ({
+    ...pool,
+    count: pool.count - pool.reviewers.filter((reviewer) => requested_approved_reviewers.includes(reviewer)).length,
+    reviewers: pool.reviewers.filter((reviewer) => reviewers.includes(reviewer)),
+  }));
+  reviewers = reviewers.filter((reviewer) => !reviewers_in_file_rule_pools.includes(reviewer) || matched_reviewers.includes(reviewer));
+
+  let preferred_reviewers;
+  if (config.options?.prefer_working_hours) {
+    const { within_hours = 0 } = config.options.prefer_working_hours === true ? {} : config.options.prefer_working_hours;
+    const candidates = [ ...new Set([ ...reviewers, ...rule_pools.flatMap((pool) => pool.reviewers) ]) ];
+    preferred_reviewers = identify_reviewers_in_working_hours({ working_hours: config.availability?.working_hours, reviewers: candidates, within_hours });
+    core.info(`Reviewers in working hours: ${preferred_reviewers.join(', ')}`);
+  }
+
   core.info('Randomly picking reviewers if the number of reviewers is set');
-  reviewers = randomly_pick_reviewers({ reviewers, config });
+  reviewers = randomly_pick_reviewers({
+    reviewers,
+    config,
+    review_load,
+    rotation_state,
+    expertise,
+    rule_pools,
+    required_reviewers,
+    preferred_reviewers,
+    requested_reviewers: requested_candidates,
+  });
+
+  if (config.options?.rerequest_approvers) {
+    core.info('Looking for approvers to request review again after significant changes');
+    const approvals = (await github.fetch_approvals()).filter(({ commit_sha }) => commit_sha);
+    const approvals_with_changes = await Promise.all(approvals.map(async ({ reviewer, commit_sha }) => ({
+      reviewer,
+      changes: exclude_ignored_files({ config, changed_files: await github.fetch_changes_since(commit_sha), gitattributes }),
+    })));
+
+    // Approvers requested again are added on top of the picked reviewers as they are not new to the pull request
+    const rerequested_approvers = identify_approvers_to_rerequest({ config, approvals: approvals_with_changes, codeowners });
+    rerequested_approvers.forEach(({ reviewer, changed_lines }) => {
+      reasons[reviewer] = [ ...(reasons[reviewer] ?? []), `approved before ${changed_lines} lines covered by their rules changed` ];
+    });
+    reviewers = [ ...new Set([ ...reviewers, ...rerequested_approvers.map(({ reviewer }) => reviewer) ]) ];
+  }
+
+  const reviewer_tiers = Object.fromEntries(reviewers.map((reviewer) => [ reviewer, required_reviewers.includes(reviewer) ? 'required' : 'optional' ]));
+
+  let explanation;
+  if (get_explain()) {
+    explanation = render_explanation(build_explanation({
+      reasons,
+      reviewer_tiers,
+      requested_approved_reviewers,
+      missing_access: aliases_missing_access,
+      unavailable_reviewers,
+      selection_strategy: config.options?.selection_strategy,
+    }));
+  }
+
+  const dry_run = get_dry_run();
+  let skipped_reason = '';
+  if (dry_run) {
+    skipped_reason = 'dry_run';
+  } else if (reviewers.length === 0) {
+    skipped_reason = 'no_new_reviewers';
+  }
+  set_outputs({ reviewers, reviewer_tiers, missing_access: aliases_missing_access, matched_rules, skipped_reason });
+  await write_summary({ reviewer_tiers, missing_access: aliases_missing_access, dry_run, explanation });
+
+  if (dry_run) {
+    // Nothing is written to the pull request nor to the rotation state in dry run mode
+    const would_be_reviewers = reviewers.map((reviewer) => `${reviewer} (${reviewer_tiers[reviewer]})`).join(', ');
+    core.info(`Dry run; would request review to ${would_be_reviewers || 'no one'}`);
+    if (aliases_missing_access.length > 0) {
+      core.info(`Dry run; would notify about reviewers without access: ${aliases_missing_access.join(', ')}`);
+    }
+    return;
+  }
 
   if (reviewers.length > 0) {
-    core.info(`Requesting review to ${reviewers.join(', ')}`);
+    core.info(`Requesting review to ${reviewers.map((reviewer) => `${reviewer} (${reviewer_tiers[reviewer]})`).join(', ')}`);
     await github.assign_reviewers(reviewers);
+
+    if (rotation_state) {
+      core.info('Saving the reviewer rotation state');
+      await github.save_rotation_state(record_rotation({ rotation_state, reviewers, pools: rule_pools }), { storage: config.options.rotation_storage });
+    }
   } else {
     core.info('No new reviewers to assign to PR');
   }
 
-  // If we either have reviewers without access OR this action has previously created a comment,
+  // If we either have reviewers without access, an explanation OR this action has previously created a comment,
   // trigger updating our comment with the latest information.
   const existing_comment = await github.get_existing_comment();
-  if (aliases_missing_access.length > 0 || existing_comment) {
-    core.info('Found reviewers without access, preparing to add notification to PR');
-    await github.post_notification(aliases_missing_access, existing_comment);
+  if (aliases_missing_access.length > 0 || explanation || existing_comment) {
+    core.info('Found reviewers without access or an explanation, preparing to add notification to PR');
+    await github.post_notification(aliases_missing_access, existing_comment, explanation);
+  }
+}
+
+async function run_escalation() {
+  const config = await load_config();
+  if (!config) {
+    return;
+  }
+
+  if (!config.options?.escalation) {
+    core.info('"escalation" is not set; terminating the process');
+    set_outputs({ skipped_reason: 'escalation_not_configured' });
+    return;
+  }
+
+  core.info('Fetching open pull requests');
+  const pull_requests = await github.fetch_open_pull_requests();
+
+  // A failure on a pull request is logged so that the others are still escalated
+  const reviewers = [];
+  const missing_access = [];
+  for (const pull_request of pull_requests) {
+    core.info(`Looking for reviews to escalate in #${pull_request.number}`);
+    github.use_pull_request(pull_request);
+    try {
+      const { added_reviewers, reviewers_missing_access } = await escalate_pull_request(config);
+      reviewers.push(...added_reviewers);
+      missing_access.push(...reviewers_missing_access);
+    } catch (error) {
+      core.warning(`Failed to escalate the review requests of #${pull_request.number}: ${error}`);
+    }
+  }
+
+  // The outputs list the reviewers added to any of the pull requests
+  let skipped_reason = '';
+  if (get_dry_run()) {
+    skipped_reason = 'dry_run';
+  } else if (reviewers.length === 0) {
+    skipped_reason = 'no_new_reviewers';
+  }
+  set_outputs({ reviewers: [ ...new Set(reviewers) ], missing_access: [ ...new Set(missing_access) ], skipped_reason });
+}
+
+async function escalate_pull_request(loaded_config) {
+  const { title, is_draft, body, head_ref, author_association, author, labels, base_ref } = github.get_pull_request();
+  const pull_request = { title, body, head_ref, author_association };
+  const config = select_branch_config(loaded_config, base_ref);
+  const { after_hours, mention } = config.options.escalation;
+
+  if (!should_request_review({ ...pull_request, is_draft, config })) {
+    core.info('Matched the ignoring rules; skipping the pull request');
+    return { added_reviewers: [], reviewers_missing_access: [] };
+  }
+
+  const review_requests = await github.fetch_review_requests();
+  const escalated_reviewers = await github.fetch_escalated_reviewers();
+  const overdue_reviewers = review_requests
+    .filter(({ requested_at }) => requested_at && Date.now() - Date.parse(requested_at) >= after_hours * 60 * 60 * 1000)
+    .map(({ reviewer }) => reviewer)
+    .filter((reviewer) => !escalated_reviewers.includes(reviewer));
+
+  if (overdue_reviewers.length === 0) {
+    core.info('No review requests to escalate');
+    return { added_reviewers: [], reviewers_missing_access: [] };
   }
+
+  core.info(`Escalating review requests to ${overdue_reviewers.join(', ')}`);
+  const [ changed_files ] = await fetch_relevant_changed_files({ config, gitattributes: await fetch_gitattributes(config) });
+
+  let codeowners = [];
+  if (config.options?.codeowners) {
+    codeowners = await github.fetch_codeowners({ path: config.options.codeowners === true ? undefined : config.options.codeowners });
+  }
+
+  const author_teams = await fetch_author_teams(config);
+
+  const requested_approved_reviewers = await github.fetch_reviewers();
+  const escalation_reviewers = identify_escalation_reviewers({
+    config: config.options?.expand_teams ? await expand_teams({ config, codeowners }) : config,
+    changed_files,
+    author,
+    author_teams,
+    labels,
+    pull_request,
+    overdue_reviewers,
+    excludes: requested_approved_reviewers,
+    codeowners,
+  });
+  const [ added_reviewers, reviewers_missing_access ] = await github.filter_only_collaborators(escalation_reviewers);
+
+  if (get_dry_run()) {
+    core.info(`Dry run; would request review to ${added_reviewers.join(', ') || 'no one'} and notify ${overdue_reviewers.join(', ')}`);
+    return { added_reviewers, reviewers_missing_access };
+  }
+
+  if (added_reviewers.length > 0) {
+    core.info(`Requesting review to ${added_reviewers.join(', ')}`);
+    await github.assign_reviewers(added_reviewers);
+  }
+
+  await github.post_escalation({ overdue_reviewers, added_reviewers, after_hours, mention });
+
+  return { added_reviewers, reviewers_missing_access };
 }
 
 module.exports = {
@@ -2,9 +2,10 @@
 
 const core = require('@actions/core');
 const minimatch = require('minimatch');
-const sample_size = require('lodash/sampleSize');
+const { SELECTION_STRATEGIES } = require('./strategies');
+const { identify_linguist_files } = require('./gitattributes');
 
-function fetch_other_group_members({ author, config }) {
+function fetch_other_group_members({ author, config, author_teams = [] }) {
   const DEFAULT_OPTIONS = {
     enable_group_assignment: false,
   };
@@ -21,81 +22,213 @@ function fetch_other_group_members({ author, config }) {
 
   core.info('Group assignment feature is enabled');
 
-  const groups = (config.reviewers && config.reviewers.groups) || {};
-  const belonging_group_names = Object.entries(groups).map(([ group_name, members ]) =>
-    members.includes(author) ? group_name : undefined
-  ).filter((group_name) => group_name);
-
-  const other_group_members = belonging_group_names.flatMap((group_name) =>
-    groups[group_name]
-  ).filter((group_member) => group_member !== author);
+  const other_group_members = match_author_groups({ config, author, author_teams })
+    .flatMap(([ , members ]) => members)
+    .filter((group_member) => group_member !== author);
 
   return [ ...new Set(other_group_members) ];
 }
 
-function identify_reviewers_by_changed_files({ config, changed_files, excludes = [] }) {
-  const DEFAULT_OPTIONS = {
-    last_files_match_only: false,
-  };
+function exclude_ignored_files({ config, changed_files, gitattributes = [] }) {
+  // Files matching "ignore_files" or marked as generated or vendored in .gitattributes are left out before any rule is matched
+  const ignore_globs = config.options?.ignore_files ?? [];
+  const filenames = changed_files.map((changed_file) => (typeof changed_file === 'string' ? changed_file : changed_file.filename));
+  const linguist_files = identify_linguist_files({ rules: gitattributes, files: filenames });
 
-  const { last_files_match_only } = {
-    ...DEFAULT_OPTIONS,
-    ...config.options,
-  };
+  return changed_files.filter((changed_file, index) =>
+    !linguist_files.includes(filenames[index]) && !ignore_globs.some((glob) => minimatch(filenames[index], glob))
+  );
+}
 
-  if (!config.files) {
+function identify_reviewers_by_changed_files({ config, changed_files, excludes = [], codeowners = [] }) {
+  if (!config.files && codeowners.length === 0) {
     core.info('A "files" key does not exist in config; returning no reviewers for changed files.');
     return [];
   }
 
-  const matching_reviewers = {};
+  // Rules with a count only contribute their required reviewers and the ones picked out of them (see identify_file_rule_pools)
+  const reviewers = match_file_rules({ config, changed_files, codeowners })
+    .flatMap((rule) => (rule.count === undefined ? [ ...rule.required, ...rule.reviewers ] : rule.required));
 
-  Object.entries(config.files).forEach(([ glob_pattern, reviewers ]) => {
-    changed_files.filter((changed_file) => minimatch(changed_file, glob_pattern)).forEach((changed_file) => {
-      matching_reviewers[changed_file] = matching_reviewers[changed_file] ?? [];
-      if (last_files_match_only) {
-        matching_reviewers[changed_file].length = 0; // clear previous matches
-      }
-      matching_reviewers[changed_file].push(...reviewers);
-    });
-  });
-
-  const individuals = replace_groups_with_individuals({ reviewers: Object.values(matching_reviewers).flat(), config });
+  const individuals = replace_groups_with_individuals({ reviewers, config });
 
   // Depue and filter the results
   return [ ...new Set(individuals) ].filter((reviewer) => !excludes.includes(reviewer));
 }
 
-function identify_reviewers_by_author({ config, 'author': specified_author }) {
+function identify_file_rule_pools({ config, changed_files, excludes = [], codeowners = [] }) {
+  // Returns the matched rules which have a count, each with the reviewers to pick that many out of
+  return match_file_rules({ config, changed_files, codeowners })
+    .filter(({ count }) => count !== undefined)
+    .map(({ pattern, reviewers, count }) => ({
+      pattern,
+      count,
+      reviewers: [ ...new Set(replace_groups_with_individuals({ reviewers, config })) ].filter((reviewer) => !excludes.includes(reviewer)),
+    }));
+}
+
+function identify_substitute_pools({ config, changed_files, author, author_teams = [], labels = [], pull_request = {}, unavailable_reviewers, codeowners = [] }) {
+  // Unavailable required reviewers are substituted by as many other members of the same rule
+  const rules = [
+    ...match_file_rules({ config, changed_files, codeowners }).map(({ pattern, required, reviewers }) => ({ pattern, required, reviewers })),
+    ...match_authors({ config, author, author_teams }).map((matching_author) => {
+      const rule = config.reviewers.per_author[matching_author] || [];
+      return { pattern: matching_author, required: get_rule_required_reviewers(rule), reviewers: get_rule_optional_reviewers(rule) };
+    }),
+    ...match_labels({ config, labels }).map((pattern) => {
+      const rule = config.labels[pattern];
+      return { pattern, required: get_rule_required_reviewers(rule), reviewers: get_rule_optional_reviewers(rule) };
+    }),
+    ...match_conditions({ config, pull_request }).map(({ index, condition }) => ({
+      pattern: `conditions[${index}]`,
+      required: get_rule_required_reviewers(condition),
+      reviewers: get_rule_optional_reviewers(condition),
+    })),
+  ];
+
+  return rules.map(({ pattern, required, reviewers }) => {
+    // Substitutes are picked among the optional reviewers, as the other required ones are requested anyway
+    const required_members = replace_groups_with_individuals({ reviewers: required, config });
+    const unavailable_required = required_members.filter((reviewer) => unavailable_reviewers.includes(reviewer));
+    const members = replace_groups_with_individuals({ reviewers, config }).filter((reviewer) => !required_members.includes(reviewer));
+
+    return {
+      pattern,
+      count: new Set(unavailable_required).size,
+      reviewers: [ ...new Set(members) ].filter((reviewer) => reviewer !== author && !unavailable_reviewers.includes(reviewer)),
+    };
+  }).filter(({ count }) => count > 0);
+}
+
+function identify_reviewers_by_author({ config, 'author': specified_author, author_teams = [] }) {
   if (!(config.reviewers && config.reviewers.per_author)) {
     core.info('"per_author" is not set; returning no reviewers for the author.');
     return [];
   }
 
-  // More than one author can be matched because groups are set as authors
-  const matching_authors = Object.keys(config.reviewers.per_author).filter((author) => {
-    if (author === specified_author) {
-      return true;
-    }
+  const matching_reviewers = match_authors({ config, author: specified_author, author_teams }).flatMap((matching_author) => {
+    const reviewers = get_rule_reviewers(config.reviewers.per_author[matching_author] || []);
+    return replace_groups_with_individuals({ reviewers, config });
+  });
 
-    const individuals_in_author_setting = replace_groups_with_individuals({ reviewers: [ author ], config });
+  return matching_reviewers.filter((reviewer) => reviewer !== specified_author);
+}
 
-    if (individuals_in_author_setting.includes(specified_author)) {
-      return true;
-    }
+function identify_reviewers_by_labels({ config, labels, excludes = [] }) {
+  if (!config.labels) {
+    core.info('"labels" is not set; returning no reviewers for the labels.');
+    return [];
+  }
 
-    return false;
+  const matching_reviewers = match_labels({ config, labels }).flatMap((pattern) =>
+    replace_groups_with_individuals({ reviewers: get_rule_reviewers(config.labels[pattern]), config })
+  );
+
+  return [ ...new Set(matching_reviewers) ].filter((reviewer) => !excludes.includes(reviewer));
+}
+
+function identify_reviewers_by_conditions({ config, pull_request, excludes = [] }) {
+  if (!config.conditions) {
+    core.info('"conditions" is not set; returning no reviewers for the conditions.');
+    return [];
+  }
+
+  const matching_reviewers = match_conditions({ config, pull_request }).flatMap(({ condition }) =>
+    replace_groups_with_individuals({ reviewers: get_rule_reviewers(condition), config })
+  );
+
+  return [ ...new Set(matching_reviewers) ].filter((reviewer) => !excludes.includes(reviewer));
+}
+
+function identify_required_reviewers({ config, changed_files, author, author_teams = [], labels = [], pull_request = {}, codeowners = [] }) {
+  // Collects the "required" reviewers of the matched "files", "per_author", "labels" and "conditions" rules
+  const required_based_on_files = match_file_rules({ config, changed_files, codeowners }).flatMap((rule) => rule.required);
+  const required_based_on_author = match_authors({ config, author, author_teams }).flatMap((matching_author) =>
+    get_rule_required_reviewers(config.reviewers.per_author[matching_author] || [])
+  );
+  const required_based_on_labels = match_labels({ config, labels }).flatMap((pattern) => get_rule_required_reviewers(config.labels[pattern]));
+  const required_based_on_conditions = match_conditions({ config, pull_request }).flatMap(({ condition }) => get_rule_required_reviewers(condition));
+
+  const individuals = replace_groups_with_individuals({
+    reviewers: [ ...required_based_on_files, ...required_based_on_author, ...required_based_on_labels, ...required_based_on_conditions ],
+    config,
   });
 
-  const matching_reviewers = matching_authors.flatMap((matching_author) => {
-    const reviewers = config.reviewers.per_author[matching_author] || [];
-    return replace_groups_with_individuals({ reviewers, config });
+  return [ ...new Set(individuals) ].filter((reviewer) => reviewer !== author);
+}
+
+function explain_reviewers({ config, changed_files, author, author_teams = [], labels = [], pull_request = {}, codeowners = [] }) {
+  // Returns the reasons each candidate is matched for, keyed by the reviewer
+  const reasons = {};
+  const add_reasons = ({ reviewers, reason }) => {
+    expand_groups_with_origin({ reviewers, config }).filter(({ reviewer }) => reviewer !== author).forEach(({ reviewer, group }) => {
+      reasons[reviewer] = reasons[reviewer] ?? [];
+      reasons[reviewer].push(group ? `${reason} via group \`${group}\`` : reason);
+    });
+  };
+
+  match_file_rules({ config, changed_files, codeowners }).forEach((rule) => {
+    const source = rule.match_options ? 'CODEOWNERS rule' : '`files` rule';
+    const matched = `${source} \`${rule.pattern}\` matched ${describe_files(rule.matched_files)}`;
+    add_reasons({ reviewers: rule.required, reason: `${matched} (required)` });
+    add_reasons({ reviewers: rule.reviewers, reason: rule.count === undefined ? matched : `${matched} (pick ${rule.count})` });
   });
 
-  return matching_reviewers.filter((reviewer) => reviewer !== specified_author);
+  match_authors({ config, author, author_teams }).forEach((matching_author) => {
+    const rule = config.reviewers.per_author[matching_author] || [];
+    const matched = `\`per_author\` entry \`${matching_author}\` matched the author`;
+    add_reasons({ reviewers: get_rule_required_reviewers(rule), reason: `${matched} (required)` });
+    add_reasons({ reviewers: get_rule_optional_reviewers(rule), reason: matched });
+  });
+
+  match_labels({ config, labels }).forEach((pattern) => {
+    const rule = config.labels[pattern];
+    const matched = `\`labels\` entry \`${pattern}\` matched ${describe_labels(labels.filter((label) => minimatch(label, pattern)))}`;
+    add_reasons({ reviewers: get_rule_required_reviewers(rule), reason: `${matched} (required)` });
+    add_reasons({ reviewers: get_rule_optional_reviewers(rule), reason: matched });
+  });
+
+  match_conditions({ config, pull_request }).forEach(({ index, condition }) => {
+    const matched = `\`conditions\` entry #${index + 1} matched ${describe_condition({ condition, pull_request })}`;
+    add_reasons({ reviewers: get_rule_required_reviewers(condition), reason: `${matched} (required)` });
+    add_reasons({ reviewers: get_rule_optional_reviewers(condition), reason: matched });
+  });
+
+  if (config.options?.enable_group_assignment) {
+    match_author_groups({ config, author, author_teams }).forEach(([ group_name, members ]) => {
+      add_reasons({ reviewers: members, reason: `in group \`${group_name}\` with the author` });
+    });
+  }
+
+  return reasons;
 }
 
-function should_request_review({ title, is_draft, config }) {
+function identify_matched_rules({ config, changed_files, author, author_teams = [], labels = [], pull_request = {}, codeowners = [] }) {
+  // Lists the "files", CODEOWNERS, "per_author", "labels" and "conditions" rules matched by the pull request
+  const file_rules = match_file_rules({ config, changed_files, codeowners }).map((rule) => ({
+    source: rule.match_options ? 'codeowners' : 'files',
+    pattern: rule.pattern,
+    files: rule.matched_files,
+  }));
+  const author_rules = match_authors({ config, author, author_teams }).map((matching_author) => ({
+    source: 'per_author',
+    author: matching_author,
+  }));
+  const label_rules = match_labels({ config, labels }).map((pattern) => ({
+    source: 'labels',
+    pattern,
+    labels: labels.filter((label) => minimatch(label, pattern)),
+  }));
+
+  const condition_rules = match_conditions({ config, pull_request }).map(({ index }) => ({
+    source: 'conditions',
+    index,
+  }));
+
+  return [ ...file_rules, ...author_rules, ...label_rules, ...condition_rules ];
+}
+
+function should_request_review({ title, is_draft, body, head_ref, author_association, config }) {
   const DEFAULT_OPTIONS = {
     ignore_draft: true,
     ignored_keywords: [ 'DO NOT REVIEW' ],
@@ -110,6 +243,11 @@ function should_request_review({ title, is_draft, config }) {
     return false;
   }
 
+  const pull_request = { title, body, head_ref, author_association };
+  if (match_conditions({ config, pull_request }).some(({ condition }) => condition.skip)) {
+    return false;
+  }
+
   return !ignored_keywords.some((keyword) => title.includes(keyword));
 }
 
@@ -124,44 +262,411 @@ function fetch_default_reviewers({ config, excludes = [] }) {
   return [ ...new Set(individuals) ].filter((reviewer) => !excludes.includes(reviewer));
 }
 
-function randomly_pick_reviewers({ reviewers, config }) {
-  const { number_of_reviewers } = {
+function randomly_pick_reviewers({
+  reviewers,
+  config,
+  review_load = {},
+  rotation_state,
+  expertise,
+  rule_pools = [],
+  required_reviewers = [],
+  preferred_reviewers,
+  requested_reviewers = [],
+}) {
+  const DEFAULT_OPTIONS = {
+    selection_strategy: 'random',
+  };
+
+  const { number_of_reviewers, selection_strategy } = {
+    ...DEFAULT_OPTIONS,
     ...config.options,
   };
 
-  if (number_of_reviewers === undefined) {
+  if (number_of_reviewers === undefined && rule_pools.length === 0 && required_reviewers.length === 0) {
     return reviewers;
   }
 
-  return sample_size(reviewers, number_of_reviewers);
+  const pick = SELECTION_STRATEGIES[selection_strategy];
+  if (!pick) {
+    throw new Error(`Unknown selection strategy: ${selection_strategy}`);
+  }
+
+  const pick_with_strategy = (candidates, count, pool) => pick({ reviewers: candidates, number_of_reviewers: count, review_load, rotation_state, expertise, pool });
+
+  // Preferred reviewers (e.g. the ones in working hours) are picked first, then anyone else fills the remaining slots
+  const pick_up_to = (candidates, count, pool) => {
+    if (!preferred_reviewers) {
+      return pick_with_strategy(candidates, count, pool);
+    }
+
+    const picked = pick_with_strategy(candidates.filter((reviewer) => preferred_reviewers.includes(reviewer)), count, pool);
+    const others = candidates.filter((reviewer) => !preferred_reviewers.includes(reviewer));
+    return [ ...picked, ...pick_with_strategy(others, Math.max(count - picked.length, 0), pool) ];
+  };
+
+  // Required reviewers are always requested, then every matched rule with a count is represented,
+  // counting reviewers already required or picked for another rule
+  const guaranteed_reviewers = reviewers.filter((reviewer) => required_reviewers.includes(reviewer));
+  rule_pools.forEach(({ pattern, reviewers: pool, count }) => {
+    const represented = pool.filter((reviewer) => guaranteed_reviewers.includes(reviewer));
+    const candidates = pool.filter((reviewer) => !represented.includes(reviewer));
+    guaranteed_reviewers.push(...pick_up_to(candidates, Math.max(count - represented.length, 0), pattern));
+  });
+
+  // "number_of_reviewers" caps the total, including the given reviewers already requested, but only optional reviewers are sampled
+  // to fill the remaining slots
+  const optional_reviewers = reviewers.filter((reviewer) => !guaranteed_reviewers.includes(reviewer));
+  if (number_of_reviewers === undefined) {
+    return [ ...guaranteed_reviewers, ...optional_reviewers ];
+  }
+
+  const remaining_slots = Math.max(number_of_reviewers - requested_reviewers.length - guaranteed_reviewers.length, 0);
+  return [ ...guaranteed_reviewers, ...pick_up_to(optional_reviewers, remaining_slots) ];
 }
 
 function fetch_all_reviewers(config) {
-  // Pulls all potential reviewers (defaults, based on author, based on files)
+  // Pulls all potential reviewers (defaults, based on author, based on files, based on labels, based on conditions)
   const default_reviewers = config?.reviewers?.defaults ?? [];
-  const reviewers_based_on_author = Object.values(config?.reviewers?.per_author ?? {}).flat();
-  const reviewers_based_on_files = Object.values(config?.files ?? {}).flat();
+  const reviewers_based_on_author = Object.values(config?.reviewers?.per_author ?? {}).flatMap(get_rule_reviewers);
+  const reviewers_based_on_files = Object.values(config?.files ?? {}).flatMap(get_rule_reviewers);
+  const reviewers_based_on_labels = Object.values(config?.labels ?? {}).flatMap(get_rule_reviewers);
+  const reviewers_based_on_conditions = (config?.conditions ?? []).flatMap(get_rule_reviewers);
 
   // Replaces the group names with real reviewers
-  const reviewers = [ ...default_reviewers, ...reviewers_based_on_author, ...reviewers_based_on_files ];
+  const reviewers = [
+    ...default_reviewers,
+    ...reviewers_based_on_author,
+    ...reviewers_based_on_files,
+    ...reviewers_based_on_labels,
+    ...reviewers_based_on_conditions,
+  ];
   return [ ...new Set(replace_groups_with_individuals({ reviewers: reviewers, config })) ];
 }
 
+function identify_teams({ config, codeowners = [] }) {
+  // Lists every team referred to by the configuration or the CODEOWNERS rules, including the ones set as authors
+  const reviewers = [
+    ...fetch_all_reviewers(config),
+    ...Object.keys(config.reviewers?.per_author ?? {}),
+    ...Object.keys(config.reviewers?.groups ?? {}),
+    ...(config.options?.escalation?.leads ?? []),
+    ...codeowners.flatMap((rule) => rule.reviewers),
+  ];
+
+  return [ ...new Set(replace_groups_with_individuals({ reviewers, config })) ].filter((reviewer) => reviewer.startsWith('team:'));
+}
+
+function identify_author_teams_to_check(config) {
+  // Lists the teams the author may need to be a member of to match "per_author" entries or the groups to assign
+  const reviewers = [
+    ...Object.keys(config.reviewers?.per_author ?? {}),
+    ...(config.options?.enable_group_assignment ? get_assignment_group_names(config) : []),
+  ];
+
+  return [ ...new Set(replace_groups_with_individuals({ reviewers, config })) ].filter((reviewer) => reviewer.startsWith('team:'));
+}
+
+function identify_approvers_to_rerequest({ config, approvals, codeowners = [] }) {
+  // Approvers are requested again when enough lines covered by their rules have changed since their approval
+  const DEFAULT_OPTIONS = {
+    min_changed_lines: 1,
+  };
+
+  const { min_changed_lines, files: significant_globs } = {
+    ...DEFAULT_OPTIONS,
+    ...(config.options?.rerequest_approvers === true ? {} : config.options?.rerequest_approvers),
+  };
+
+  return approvals.map(({ reviewer, changes }) => {
+    const significant_changes = changes.filter(({ filename }) => !significant_globs || significant_globs.some((glob) => minimatch(filename, glob)));
+    const covered_files = match_file_rules({ config, changed_files: significant_changes, codeowners })
+      .filter((rule) => replace_groups_with_individuals({ reviewers: [ ...rule.required, ...rule.reviewers ], config }).includes(reviewer))
+      .flatMap((rule) => rule.matched_files);
+
+    const changed_lines = significant_changes
+      .filter(({ filename }) => covered_files.includes(filename))
+      .reduce((sum, { changes: lines }) => sum + lines, 0);
+
+    return { reviewer, changed_lines };
+  }).filter(({ changed_lines }) => changed_lines > 0 && changed_lines >= min_changed_lines);
+}
+
+function identify_size_tier({ config, changed_files }) {
+  // The first tier the number of changed lines fits in wins; a tier without "max_lines" takes any size
+  const size_tiers = config.options?.size_tiers ?? [];
+  const changed_lines = changed_files.reduce((sum, { additions = 0, deletions = 0 }) => sum + additions + deletions, 0);
+
+  const size_tier = size_tiers.find(({ max_lines }) => max_lines === undefined || changed_lines <= max_lines);
+  return size_tier && { ...size_tier, changed_lines };
+}
+
+function identify_escalation_reviewers({ config, changed_files, author, author_teams = [], labels = [], pull_request = {}, overdue_reviewers, excludes = [], codeowners = [] }) {
+  const { backup_reviewers: should_add_backup, leads = [] } = config.options?.escalation ?? {};
+  const unavailable = [ ...excludes, ...overdue_reviewers, author ];
+
+  // A backup reviewer is picked out of the other members of the rules that made each overdue reviewer requested
+  const backup_reviewers = [];
+  if (should_add_backup) {
+    const rule_members = [
+      ...match_file_rules({ config, changed_files, codeowners }).map((rule) => [ ...rule.required, ...rule.reviewers ]),
+      ...match_authors({ config, author, author_teams }).map((matching_author) => get_rule_reviewers(config.reviewers.per_author[matching_author] || [])),
+      ...match_labels({ config, labels }).map((pattern) => get_rule_reviewers(config.labels[pattern])),
+      ...match_conditions({ config, pull_request }).map(({ condition }) => get_rule_reviewers(condition)),
+    ].map((reviewers) => [ ...new Set(replace_groups_with_individuals({ reviewers, config })) ]);
+
+    overdue_reviewers.forEach((overdue_reviewer) => {
+      const candidates = [ ...new Set(rule_members.filter((members) => members.includes(overdue_reviewer)).flat()) ]
+        .filter((reviewer) => !unavailable.includes(reviewer) && !backup_reviewers.includes(reviewer));
+      backup_reviewers.push(...SELECTION_STRATEGIES.random({ reviewers: candidates, number_of_reviewers: 1 }));
+    });
+  }
+
+  const lead_reviewers = replace_groups_with_individuals({ reviewers: leads, config }).filter((reviewer) => !unavailable.includes(reviewer));
+
+  return [ ...new Set([ ...backup_reviewers, ...lead_reviewers ]) ];
+}
+
+function identify_stale_reviewers({ config, pending_reviewers, candidates, codeowners = [] }) {
+  // Only reviewers this action could have requested are considered, on top of the pending requests being made by this action
+  const group_members = config.options?.enable_group_assignment
+    ? replace_groups_with_individuals({ reviewers: get_assignment_group_names(config), config })
+    : [];
+  const managed_reviewers = new Set([
+    ...fetch_all_reviewers(config),
+    ...replace_groups_with_individuals({ reviewers: codeowners.flatMap((rule) => rule.reviewers), config }),
+    ...group_members,
+  ]);
+
+  return pending_reviewers.filter((reviewer) => managed_reviewers.has(reviewer) && !candidates.includes(reviewer));
+}
+
 /* Private */
 
+// Keys of "conditions" entries and the pull request fields they are matched against
+const CONDITION_FIELDS = {
+  title: 'title',
+  body: 'body',
+  head_branch: 'head_ref',
+  author_association: 'author_association',
+};
+
+const SET_OPERATIONS = {
+  '+': (members, operand) => [ ...new Set([ ...members, ...operand ]) ],
+  '-': (members, operand) => members.filter((member) => !operand.includes(member)),
+  '&': (members, operand) => members.filter((member) => operand.includes(member)),
+};
+
+// A "files", "per_author" or "labels" rule is either a list of reviewers or an object like { required: [...], reviewers: [...], count: 1 }
+// where "reviewers" are optional ones
+function get_rule_reviewers(rule) {
+  return [ ...get_rule_required_reviewers(rule), ...get_rule_optional_reviewers(rule) ];
+}
+
+function get_rule_required_reviewers(rule) {
+  return Array.isArray(rule) ? [] : rule.required ?? [];
+}
+
+function get_rule_optional_reviewers(rule) {
+  return Array.isArray(rule) ? rule : rule.reviewers ?? [];
+}
+
+function match_authors({ config, 'author': specified_author, author_teams = [] }) {
+  // More than one author can be matched because groups and teams are set as authors
+  return Object.keys(config.reviewers?.per_author ?? {}).filter((author) => {
+    if (author === specified_author) {
+      return true;
+    }
+
+    const individuals_in_author_setting = replace_groups_with_individuals({ reviewers: [ author ], config });
+
+    if (individuals_in_author_setting.some((individual) => individual === specified_author || author_teams.includes(individual))) {
+      return true;
+    }
+
+    return false;
+  });
+}
+
+function get_assignment_group_names(config) {
+  // "enable_group_assignment" is either true for all groups or a list of the groups and teams to assign the members of
+  return Array.isArray(config.options?.enable_group_assignment)
+    ? config.options.enable_group_assignment
+    : Object.keys(config.reviewers?.groups ?? {});
+}
+
+function match_author_groups({ config, author, author_teams }) {
+  return get_assignment_group_names(config)
+    .map((group_name) => [ group_name, replace_groups_with_individuals({ reviewers: [ group_name ], config }) ])
+    .filter(([ , members ]) => members.some((member) => member === author || author_teams.includes(member)));
+}
+
+function match_labels({ config, labels }) {
+  // Keys of "labels" are label names or glob patterns
+  return Object.keys(config.labels ?? {}).filter((pattern) => labels.some((label) => minimatch(label, pattern)));
+}
+
+function match_conditions({ config, pull_request }) {
+  // A condition matches when all of its patterns match; a missing value (e.g. an empty body) is taken as an empty string
+  return (config.conditions ?? [])
+    .map((condition, index) => ({ index, condition }))
+    .filter(({ condition }) => Object.entries(CONDITION_FIELDS)
+      .filter(([ key ]) => condition[key] !== undefined)
+      .every(([ key, field ]) => new RegExp(condition[key]).test(pull_request[field] ?? '')));
+}
+
+function match_file_rules({ config, changed_files, codeowners }) {
+  const DEFAULT_OPTIONS = {
+    last_files_match_only: false,
+    codeowners_mode: 'append',
+  };
+
+  const { last_files_match_only, codeowners_mode } = {
+    ...DEFAULT_OPTIONS,
+    ...config.options,
+  };
+
+  // CODEOWNERS rules come first so that the "files" rules take precedence with "last_files_match_only"
+  const file_rules = Object.entries(config.files ?? {}).map(([ glob_pattern, file_rule ]) => ({
+    pattern: glob_pattern,
+    globs: [ glob_pattern ],
+    reviewers: get_rule_optional_reviewers(file_rule),
+    required: get_rule_required_reviewers(file_rule),
+    count: file_rule.count,
+    statuses: file_rule.status && [].concat(file_rule.status),
+  }));
+  const codeowners_rules = codeowners.map(({ pattern, globs, reviewers }) => ({
+    pattern,
+    globs,
+    reviewers,
+    required: [],
+    match_options: { dot: true }, // CODEOWNERS patterns follow gitignore rules where wildcards match dotfiles
+  }));
+  const rules = codeowners_mode === 'replace' ? codeowners_rules : [ ...codeowners_rules, ...file_rules ];
+
+  // Changed files are either paths or entries like { filename, status, previous_filename }; renamed files match by both of their paths
+  const files = changed_files.map((changed_file) => (typeof changed_file === 'string' ? { filename: changed_file } : changed_file));
+  const is_matching = (rule, { filename, status, previous_filename }) =>
+    (!rule.statuses || rule.statuses.includes(status))
+    && [ filename, previous_filename ].some((path) => path && rule.globs.some((glob) => minimatch(path, glob, rule.match_options)));
+
+  const matching_rules = {};
+
+  rules.forEach((rule) => {
+    files.filter((file) => is_matching(rule, file)).forEach(({ filename }) => {
+      matching_rules[filename] = matching_rules[filename] ?? [];
+      if (last_files_match_only) {
+        matching_rules[filename].length = 0; // clear previous matches
+      }
+      matching_rules[filename].push(rule);
+    });
+  });
+
+  // Keeps the order of the rules in config
+  const matched_rules = new Set(Object.values(matching_rules).flat());
+  return rules.filter((rule) => matched_rules.has(rule)).map((rule) => ({
+    ...rule,
+    matched_files: files.map(({ filename }) => filename).filter((filename) => matching_rules[filename]?.includes(rule)),
+  }));
+}
+
+function get_groups(config) {
+  // Members of the teams expanded with "expand_teams" are looked up like groups, which take precedence
+  return { ...config.team_members, ...config.reviewers?.groups };
+}
+
 function replace_groups_with_individuals({ reviewers, config }) {
-  const groups = (config.reviewers && config.reviewers.groups) || {};
-  return reviewers.flatMap((reviewer) =>
-    Array.isArray(groups[reviewer]) ? groups[reviewer] : reviewer
-  );
+  const groups = get_groups(config);
+  return reviewers.flatMap((reviewer) => expand_reviewer({ reviewer, groups }));
+}
+
+function expand_groups_with_origin({ reviewers, config }) {
+  // Same as replace_groups_with_individuals but keeps the name of the group each individual comes from
+  const groups = get_groups(config);
+  return reviewers.flatMap((reviewer) => {
+    const members = expand_reviewer({ reviewer, groups });
+    return members.length === 1 && members[0] === reviewer
+      ? { reviewer }
+      : members.map((member) => ({ reviewer: member, group: reviewer }));
+  });
+}
+
+function expand_reviewer({ reviewer, groups, path = [] }) {
+  // Expressions like "backend - backend-leads" combine groups and individuals from left to right with
+  // "+" (union), "-" (difference) and "&" (intersection)
+  const [ first_term, ...rest ] = reviewer.trim().split(/\s+([-+&])\s+/);
+  if (rest.length > 0) {
+    let members = expand_reviewer({ reviewer: first_term, groups, path });
+    for (let index = 0; index < rest.length; index += 2) {
+      const operand = expand_reviewer({ reviewer: rest[index + 1], groups, path });
+      members = SET_OPERATIONS[rest[index]](members, operand);
+    }
+    return members;
+  }
+
+  const group = groups[first_term];
+  if (!group) {
+    return [ first_term ];
+  }
+
+  if (path.includes(first_term)) {
+    throw new Error(`Group "${first_term}" includes itself: ${[ ...path, first_term ].join(' -> ')}`);
+  }
+
+  // A group is either a list of members or an object like { include: [...], exclude: [...] }
+  const { include = [], exclude = [] } = Array.isArray(group) ? { include: group } : group;
+  const next_path = [ ...path, first_term ];
+  const excluded = exclude.flatMap((member) => expand_reviewer({ reviewer: member, groups, path: next_path }));
+
+  return [ ...new Set(include.flatMap((member) => expand_reviewer({ reviewer: member, groups, path: next_path }))) ]
+    .filter((member) => !excluded.includes(member));
+}
+
+function describe_files(files) {
+  const MAX_FILES = 3;
+
+  const listed_files = files.slice(0, MAX_FILES).map((file) => `\`${file}\``).join(', ');
+
+  return files.length > MAX_FILES ? `${listed_files} and ${files.length - MAX_FILES} more` : listed_files;
+}
+
+function describe_condition({ condition, pull_request }) {
+  const DESCRIPTIONS = {
+    title: 'the title',
+    body: 'the body',
+    head_branch: 'the head branch',
+    author_association: 'the author association',
+  };
+
+  return Object.entries(CONDITION_FIELDS)
+    .filter(([ key ]) => condition[key] !== undefined)
+    .map(([ key, field ]) => key === 'body' ? DESCRIPTIONS[key] : `${DESCRIPTIONS[key]} \`${pull_request[field]}\``)
+    .join(' and ');
+}
+
+function describe_labels(labels) {
+  return labels.map((label) => `\`${label}\``).join(', ');
 }
 
 module.exports = {
   fetch_other_group_members,
+  exclude_ignored_files,
   identify_reviewers_by_changed_files,
+  identify_file_rule_pools,
+  identify_substitute_pools,
   identify_reviewers_by_author,
+  identify_reviewers_by_labels,
+  identify_reviewers_by_conditions,
+  identify_required_reviewers,
+  explain_reviewers,
+  identify_matched_rules,
   should_request_review,
   fetch_default_reviewers,
   randomly_pick_reviewers,
   fetch_all_reviewers,
+  identify_teams,
+  identify_author_teams_to_check,
+  identify_approvers_to_rerequest,
+  identify_size_tier,
+  identify_escalation_reviewers,
+  identify_stale_reviewers,
 };
@@ -0,0 +1,107 @@
+'use strict';
+
+const sample_size = require('lodash/sampleSize');
+const shuffle = require('lodash/shuffle');
+
+const DAY_IN_MILLISECONDS = 24 * 60 * 60 * 1000;
+const EXPERTISE_HALF_LIFE_DAYS = 90;
+const REVIEW_WEIGHT = 0.5;
+
+const EMPTY_ROTATION_STATE = {
+  sequence: 0,
+  last_assigned: {},
+};
+
+// Each rule with a count is rotated through on its own, under its pattern, while "number_of_reviewers" picks the others
+const DEFAULT_ROTATION_POOL = 'number_of_reviewers';
+
+// Each strategy picks up to "number_of_reviewers" out of the given reviewers
+const SELECTION_STRATEGIES = {
+  random: pick_randomly,
+  least_loaded: pick_least_loaded,
+  round_robin: pick_round_robin,
+  expertise: pick_most_experienced,
+};
+
+function pick_randomly({ reviewers, number_of_reviewers }) {
+  return sample_size(reviewers, number_of_reviewers);
+}
+
+function pick_least_loaded({ reviewers, number_of_reviewers, review_load }) {
+  // Shuffling before the stable sort breaks ties randomly
+  return shuffle(reviewers)
+    .sort((reviewer_a, reviewer_b) => (review_load[reviewer_a] ?? 0) - (review_load[reviewer_b] ?? 0))
+    .slice(0, number_of_reviewers);
+}
+
+function pick_round_robin({ reviewers, number_of_reviewers, rotation_state, pool = DEFAULT_ROTATION_POOL }) {
+  // Reviewers assigned the longest time ago (or never) in the pool come first, so each pool of candidates is rotated through in turn
+  const last_assigned = get_pool_rotation({ rotation_state, pool });
+  return [ ...reviewers ]
+    .sort((reviewer_a, reviewer_b) => (last_assigned[reviewer_a] ?? 0) - (last_assigned[reviewer_b] ?? 0) || reviewer_a.localeCompare(reviewer_b))
+    .slice(0, number_of_reviewers);
+}
+
+function pick_most_experienced({ reviewers, number_of_reviewers, expertise = {} }) {
+  // Shuffling before the stable sort breaks ties randomly, e.g. among reviewers who never touched the files
+  return shuffle(reviewers)
+    .sort((reviewer_a, reviewer_b) => (expertise[reviewer_b] ?? 0) - (expertise[reviewer_a] ?? 0))
+    .slice(0, number_of_reviewers);
+}
+
+function compute_expertise({ file_history, now = Date.now() }) {
+  // Each commit to a changed file counts for its author, and half as much for the reviewers of its pull request,
+  // weighted down by half every 90 days
+  const expertise = {};
+  const add = (reviewer, score) => {
+    expertise[reviewer] = (expertise[reviewer] ?? 0) + score;
+  };
+
+  Object.values(file_history).flat().forEach(({ author, reviewers = [], committed_at }) => {
+    const age_in_days = Math.max(now - Date.parse(committed_at), 0) / DAY_IN_MILLISECONDS;
+    const recency = 0.5 ** (age_in_days / EXPERTISE_HALF_LIFE_DAYS);
+
+    if (author) {
+      add(author, recency);
+    }
+    reviewers.filter((reviewer) => reviewer !== author).forEach((reviewer) => add(reviewer, recency * REVIEW_WEIGHT));
+  });
+
+  return expertise;
+}
+
+function record_rotation({ rotation_state, reviewers, pools = [] }) {
+  // The requested reviewers are recorded in the default pool and in each pool of a rule they are a member of
+  const { sequence } = rotation_state ?? EMPTY_ROTATION_STATE;
+  const next_state = { sequence, last_assigned: is_legacy_rotation(rotation_state) ? {} : { ...rotation_state.last_assigned } };
+  const record = (pool, reviewer) => {
+    next_state.last_assigned[pool] = { ...get_pool_rotation({ rotation_state, pool }), ...next_state.last_assigned[pool], [reviewer]: next_state.sequence };
+  };
+
+  reviewers.forEach((reviewer) => {
+    next_state.sequence += 1;
+    record(DEFAULT_ROTATION_POOL, reviewer);
+    pools.filter((pool) => pool.reviewers.includes(reviewer)).forEach(({ pattern }) => record(pattern, reviewer));
+  });
+
+  return next_state;
+}
+
+/* Private */
+
+function is_legacy_rotation(rotation_state) {
+  // States saved before the pools were rotated on their own map each reviewer to a sequence number shared by all pools
+  return Object.values(rotation_state?.last_assigned ?? {}).some((value) => typeof value === 'number');
+}
+
+function get_pool_rotation({ rotation_state, pool }) {
+  const { last_assigned } = rotation_state ?? EMPTY_ROTATION_STATE;
+  return is_legacy_rotation(rotation_state) ? last_assigned : last_assigned[pool] ?? {};
+}
+
+module.exports = {
+  EMPTY_ROTATION_STATE,
+  SELECTION_STRATEGIES,
+  compute_expertise,
+  record_rotation,
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+const core = require('@actions/core');
+
+async function write_summary({ reviewer_tiers, missing_access = [], dry_run = false, explanation }) {
+  // The job summary is only available when running on GitHub Actions
+  if (!process.env.GITHUB_STEP_SUMMARY) {
+    core.debug('No job summary is available; skipping writing the summary');
+    return;
+  }
+
+  core.summary.addHeading(dry_run ? 'Auto Request Review (dry run)' : 'Auto Request Review', 3);
+
+  const reviewers = Object.keys(reviewer_tiers);
+  if (reviewers.length === 0) {
+    core.summary.addRaw(dry_run ? 'No new reviewers would be requested.' : 'No new reviewers were requested.', true);
+  } else {
+    if (dry_run) {
+      core.summary.addRaw('The following reviewers would be requested; the pull request was left untouched.', true);
+    }
+    core.summary.addTable([
+      [ { data: 'Reviewer', header: true }, { data: 'Tier', header: true } ],
+      ...reviewers.map((reviewer) => [ reviewer, reviewer_tiers[reviewer] ]),
+    ]);
+  }
+
+  if (missing_access.length > 0) {
+    core.summary.addRaw('The following reviewers did not have access to be added as reviewers:', true);
+    core.summary.addList(missing_access);
+  }
+
+  if (explanation) {
+    core.summary.addRaw(explanation, true);
+  }
+
+  await core.summary.write();
+}
+
+module.exports = {
+  write_summary,
+};
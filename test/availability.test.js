@@ -0,0 +1,190 @@
+'use strict';
+
+const {
+  parse_availability_file,
+  identify_unavailable_reviewers,
+  identify_reviewers_in_working_hours,
+  parse_time_range,
+} = require('../src/availability');
+const { expect } = require('chai');
+
+describe('availability', function() {
+  describe('parse_availability_file()', function() {
+    it('parses a JSON file', function() {
+      const content = JSON.stringify([ { reviewer: 'mario', from: '2024-08-01', until: '2024-08-15' } ]);
+      expect(parse_availability_file(content, { path: '.github/availability.json' })).to.deep.equal([
+        { reviewer: 'mario', from: '2024-08-01', until: '2024-08-15' },
+      ]);
+    });
+
+    it('throws if a JSON file is not a list', function() {
+      expect(() => parse_availability_file('{}', { path: 'availability.json' })).to.throw('must be a list');
+    });
+
+    it('throws with the path if a JSON file is malformed', function() {
+      expect(() => parse_availability_file('[ { "reviewer": "mario", } ]', { path: 'availability.json' }))
+        .to.throw(/^Availability file availability.json is not valid JSON: /);
+    });
+
+    it('throws if JSON entries are malformed', function() {
+      const content = JSON.stringify([
+        { reviewer: 'mario', from: '2024-08-01' },
+        { from: '2024-08-01' },
+        { reviewer: 'luigi', until: 'next monday', note: 'vacation' },
+        'wario',
+      ]);
+
+      expect(() => parse_availability_file(content, { path: 'availability.json' })).to.throw([
+        'Availability file availability.json has invalid entries:',
+        '- "[1].reviewer" must be a string but got undefined',
+        '- "[2].note" is not a known key; expected one of "reviewer", "from", "until"',
+        '- "[2].until" must be a date like "2024-08-01" or "2024-08-01T09:00:00Z" but got "next monday"',
+        '- "[3]" must be a mapping but got "wario"',
+      ].join('\n'));
+    });
+
+    it('parses the events of an iCalendar file', function() {
+      const content = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20240801',
+        'DTEND;VALUE=DATE:20240816',
+        'SUMMARY:@mario on vaca',
+        ' tion',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20240801T090000Z',
+        'DTEND:20240801T170000Z',
+        'SUMMARY:luigi',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20240801T090000Z',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n');
+
+      expect(parse_availability_file(content, { path: 'calendars/ooo.ics' })).to.deep.equal([
+        { reviewer: 'mario', from: '2024-08-01', until: '2024-08-16T00:00:00Z' },
+        { reviewer: 'luigi', from: '2024-08-01T09:00:00Z', until: '2024-08-01T17:00:00Z' },
+      ]);
+    });
+    it('ends iCalendar events without an end on the day they start', function() {
+      const content = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20240801',
+        'SUMMARY:mario',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20240801T090000',
+        'SUMMARY:luigi',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\n');
+
+      const entries = parse_availability_file(content, { path: 'ooo.ics' });
+      expect(entries).to.deep.equal([
+        { reviewer: 'mario', from: '2024-08-01', until: '2024-08-01' },
+        { reviewer: 'luigi', from: '2024-08-01T09:00:00Z', until: '2024-08-01T09:00:00Z' },
+      ]);
+      expect(identify_unavailable_reviewers({ entries, reviewers: [ 'mario', 'luigi' ], now: Date.parse('2024-08-02T00:00:00Z') })).to.deep.equal([]);
+    });
+
+    it('throws if iCalendar events have unreadable dates or dates in a time zone', function() {
+      const content = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART;TZID=Europe/Paris:20240801T090000',
+        'DTEND:20240801T170000Z',
+        'SUMMARY:mario',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:tomorrow',
+        'SUMMARY:luigi',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:wario',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\n');
+
+      expect(() => parse_availability_file(content, { path: 'ooo.ics' })).to.throw([
+        'Availability file ooo.ics has invalid entries:',
+        '- "[0].from" must be a date like "2024-08-01" or "2024-08-01T09:00:00Z" but got "DTSTART;TZID=Europe/Paris:20240801T090000"',
+        '- "[1].from" must be a date like "2024-08-01" or "2024-08-01T09:00:00Z" but got "DTSTART:tomorrow"',
+        '- "[1].until" must be a date like "2024-08-01" or "2024-08-01T09:00:00Z" but got "DTSTART:tomorrow"',
+        '- "[2].from" must be a date like "2024-08-01" or "2024-08-01T09:00:00Z" but got null',
+        '- "[2].until" must be a date like "2024-08-01" or "2024-08-01T09:00:00Z" but got null',
+      ].join('\n'));
+    });
+  });
+
+  describe('identify_unavailable_reviewers()', function() {
+    const entries = [
+      { reviewer: 'mario', from: '2024-08-01', until: '2024-08-15' },
+      { reviewer: 'luigi', from: '2024-08-01T09:00:00Z', until: '2024-08-01T17:00:00Z' },
+      { reviewer: 'wario', from: '2024-07-01' },
+      { reviewer: 'waluigi', until: '2024-07-01' },
+    ];
+    const reviewers = [ 'mario', 'luigi', 'wario', 'waluigi', 'toad' ];
+
+    it('returns the reviewers away at the time', function() {
+      const now = Date.parse('2024-08-01T12:00:00Z');
+      expect(identify_unavailable_reviewers({ entries, reviewers, now })).to.deep.equal([ 'mario', 'luigi', 'wario' ]);
+    });
+
+    it('includes the whole day of a date-only "until"', function() {
+      expect(identify_unavailable_reviewers({ entries, reviewers: [ 'mario' ], now: Date.parse('2024-08-15T23:59:59Z') })).to.deep.equal([ 'mario' ]);
+      expect(identify_unavailable_reviewers({ entries, reviewers: [ 'mario' ], now: Date.parse('2024-08-16T00:00:00Z') })).to.deep.equal([]);
+    });
+
+    it('takes a date-time "until" as the exact end', function() {
+      expect(identify_unavailable_reviewers({ entries, reviewers: [ 'luigi' ], now: Date.parse('2024-08-01T17:00:00Z') })).to.deep.equal([]);
+    });
+
+    it('supports open-ended entries', function() {
+      const now = Date.parse('2024-06-01T00:00:00Z');
+      expect(identify_unavailable_reviewers({ entries, reviewers, now })).to.deep.equal([ 'waluigi' ]);
+    });
+  });
+
+  describe('identify_reviewers_in_working_hours()', function() {
+    const working_hours = {
+      'mario': { timezone: 'Asia/Tokyo', hours: '09:00-18:00' },
+      'luigi': { timezone: 'America/New_York', hours: '09:00-17:00' },
+      'toad': { timezone: 'Europe/London', hours: '22:00-06:00', days: [ 'mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun' ] },
+      'princess-peach': { timezone: 'Asia/Tokyo', hours: '09:00-18:00', days: [ 'sat' ] },
+    };
+    const reviewers = [ 'mario', 'luigi', 'toad', 'princess-peach', 'yoshi' ];
+
+    // Monday 12:00 in Tokyo, Sunday 23:00 in New York and Monday 04:00 (summer time) in London
+    const now = Date.parse('2024-08-05T03:00:00Z');
+
+    it('returns the reviewers in working hours and the ones without working hours', function() {
+      expect(identify_reviewers_in_working_hours({ working_hours, reviewers, now })).to.deep.equal([ 'mario', 'toad', 'yoshi' ]);
+    });
+
+    it('includes the reviewers whose working hours start within the given number of hours', function() {
+      expect(identify_reviewers_in_working_hours({ working_hours, reviewers: [ 'luigi' ], now, within_hours: 10 })).to.deep.equal([ 'luigi' ]);
+      expect(identify_reviewers_in_working_hours({ working_hours, reviewers: [ 'luigi' ], now, within_hours: 9 })).to.deep.equal([]);
+    });
+
+    it('skips the days off', function() {
+      const saturday = Date.parse('2024-08-03T03:00:00Z');
+      expect(identify_reviewers_in_working_hours({ working_hours, reviewers: [ 'mario', 'princess-peach' ], now: saturday })).to.deep.equal([ 'princess-peach' ]);
+    });
+  });
+
+  describe('parse_time_range()', function() {
+    it('parses a time range into minutes of the day', function() {
+      expect(parse_time_range('09:30-18:00')).to.deep.equal({ start: 570, end: 1080 });
+      expect(parse_time_range('22:00-06:00')).to.deep.equal({ start: 1320, end: 360 });
+    });
+
+    it('returns nothing for malformed ranges', function() {
+      expect(parse_time_range('9-18')).to.be.undefined;
+      expect(parse_time_range('09:00-25:00')).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const minimatch = require('minimatch');
+const { parse_codeowners, is_email_owner } = require('../src/codeowners');
+const { expect } = require('chai');
+
+describe('codeowners', function() {
+  describe('parse_codeowners()', function() {
+    it('parses rules and skips comments and blank lines', function() {
+      const content = [
+        '# This is a comment',
+        '',
+        '*       @global-owner1 @global-owner2',
+        '*.js    @js-owner # This is an inline comment',
+        '\\#file_with_pound.rb @octocat',
+      ].join('\n');
+
+      expect(parse_codeowners(content).map(({ pattern, owners }) => ({ pattern, owners }))).to.deep.equal([
+        { pattern: '*', owners: [ 'global-owner1', 'global-owner2' ] },
+        { pattern: '*.js', owners: [ 'js-owner' ] },
+        { pattern: '#file_with_pound.rb', owners: [ 'octocat' ] },
+      ]);
+    });
+
+    it('translates teams into the "team:" alias form and keeps emails', function() {
+      const [ rule ] = parse_codeowners('*.go docs@example.com @mushroom-kingdom/toads');
+      expect(rule.owners).to.deep.equal([ 'docs@example.com', 'team:toads' ]);
+    });
+
+    it('keeps rules without owners', function() {
+      const [ , rule ] = parse_codeowners('/apps/ @octocat\n/apps/github');
+      expect(rule.owners).to.deep.equal([]);
+    });
+
+    context('translating patterns into globs', function() {
+      function matches(pattern, file) {
+        const [ { globs } ] = parse_codeowners(`${pattern} @octocat`);
+        return globs.some((glob) => minimatch(file, glob, { dot: true }));
+      }
+
+      it('matches everything with "*"', function() {
+        expect(matches('*', 'README.md')).to.be.true;
+        expect(matches('*', '.github/workflows/ci.yml')).to.be.true;
+      });
+
+      it('matches unanchored patterns at any depth', function() {
+        expect(matches('*.js', 'index.js')).to.be.true;
+        expect(matches('*.js', 'src/index.js')).to.be.true;
+        expect(matches('apps/', 'apps/index.js')).to.be.true;
+        expect(matches('apps/', 'src/apps/deep/index.js')).to.be.true;
+        expect(matches('apps/', 'apps.js')).to.be.false;
+      });
+
+      it('matches anchored patterns from the repository root only', function() {
+        expect(matches('/build/logs/', 'build/logs/today.log')).to.be.true;
+        expect(matches('/build/logs/', 'src/build/logs/today.log')).to.be.false;
+        expect(matches('docs/*', 'docs/getting-started.md')).to.be.true;
+        expect(matches('docs/*', 'docs/build-app/troubleshooting.md')).to.be.false;
+        expect(matches('docs/*', 'src/docs/getting-started.md')).to.be.false;
+      });
+
+      it('matches everything in a directory named without a trailing slash', function() {
+        expect(matches('/apps/github', 'apps/github/index.js')).to.be.true;
+        expect(matches('/apps/github', 'apps/github')).to.be.true;
+        expect(matches('/apps/github', 'apps/githubs')).to.be.false;
+        expect(matches('**/logs', 'build/logs/today.log')).to.be.true;
+      });
+    });
+  });
+
+  describe('is_email_owner()', function() {
+    it('tells emails apart from usernames and teams', function() {
+      expect(is_email_owner('docs@example.com')).to.be.true;
+      expect(is_email_owner('octocat')).to.be.false;
+      expect(is_email_owner('team:toads')).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,507 @@
+'use strict';
+
+const fs = require('fs');
+const yaml = require('yaml');
+const { parse_config, merge_configs, select_branch_config, format_problem } = require('../src/config');
+const { expect } = require('chai');
+
+describe('config', function() {
+  describe('parse_config()', function() {
+    function problems_of(content) {
+      try {
+        parse_config(content, { file: 'reviewers.yml' });
+      } catch (error) {
+        return error.problems;
+      }
+      throw new Error('Expected the configuration to be invalid');
+    }
+
+    it('returns a config object for a valid configuration', function() {
+      const content = fs.readFileSync('test/assets/reviewers.yml', 'utf8');
+      expect(parse_config(content)).to.deep.equal(yaml.parse(content));
+    });
+
+    it('accepts the full configuration documented in the README', function() {
+      const content = [
+        'reviewers:',
+        '  defaults:',
+        '    - repository-owners',
+        '    - team:default-reviewers',
+        '  groups:',
+        '    repository-owners:',
+        '      - me',
+        '  per_author:',
+        '    engineers:',
+        '      - engineers',
+        'files:',
+        "  '**/*.{js,ts}':",
+        '    - repository-owners',
+        "  '.github/**':",
+        '    - octopus',
+        'options:',
+        '  ignore_draft: true',
+        '  ignored_keywords:',
+        '    - DO NOT REVIEW',
+        '  enable_group_assignment: false',
+        '  number_of_reviewers: 3',
+        '  last_files_match_only: false',
+      ].join('\n');
+
+      expect(() => parse_config(content)).to.not.throw();
+    });
+
+    it('reports unknown keys with their location', function() {
+      const content = [
+        'reviewers:',
+        '  per_autor:',
+        '    mario:',
+        '      - luigi',
+      ].join('\n');
+
+      expect(problems_of(content)).to.deep.equal([ {
+        file: 'reviewers.yml',
+        path: 'reviewers.per_autor',
+        line: 2,
+        column: 3,
+        message: 'is not a known key; expected one of "defaults", "groups", "per_author"',
+      } ]);
+    });
+
+    it('reports wrong types with their location', function() {
+      const content = [
+        'options:',
+        '  number_of_reviewers: "3"',
+        '  ignore_draft: yes please',
+      ].join('\n');
+
+      const problems = problems_of(content);
+      expect(problems).to.have.lengthOf(2);
+      expect(problems[0]).to.include({ path: 'options.number_of_reviewers', line: 2, column: 24 });
+      expect(problems[0].message).to.equal('must be an integer but got string "3"');
+      expect(problems[1]).to.include({ path: 'options.ignore_draft', line: 3, column: 17 });
+    });
+
+    it('reports reviewers that are not lists', function() {
+      const content = [
+        'reviewers:',
+        '  defaults:',
+        '    mario: luigi',
+        'files:',
+        "  '**': mario",
+      ].join('\n');
+
+      expect(problems_of(content)).to.deep.equal([ {
+        file: 'reviewers.yml',
+        path: 'reviewers.defaults',
+        line: 3,
+        column: 5,
+        message: 'must be a list but got a mapping',
+      }, {
+        file: 'reviewers.yml',
+        path: 'files.**',
+        line: 5,
+        column: 9,
+        message: 'must be a list or mapping but got string "mario"',
+      } ]);
+    });
+
+    it('accepts "files" rules with a count and reports malformed ones', function() {
+      const content = [
+        'files:',
+        "  'db/**':",
+        '    reviewers:',
+        '      - dba',
+        '    count: 1',
+        "  'ui/**':",
+        '    count: 0',
+        '    reviwers:',
+        '      - designers',
+      ].join('\n');
+
+      expect(problems_of(content).map(({ path, line, message }) => ({ path, line, message }))).to.deep.equal([
+        { path: 'files.ui/**.count', line: 7, message: 'must be greater than or equal to 1 but got 0' },
+        { path: 'files.ui/**.reviwers', line: 8, message: 'is not a known key; expected one of "required", "reviewers", "count", "status"' },
+        { path: 'files.ui/**', line: 7, message: 'must have at least one of the keys "required", "reviewers"' },
+      ]);
+    });
+
+    it('accepts "ignore_files" and reports malformed globs', function() {
+      const content = [
+        'options:',
+        '  ignore_files:',
+        "    - '**/package-lock.json'",
+        "    - 'dist/**'",
+        '  ignore_generated_files: true',
+        '  skip_if_only_ignored_files: true',
+      ].join('\n');
+
+      expect(() => parse_config(content)).to.not.throw();
+      expect(problems_of("options:\n  ignore_files:\n    - 'dist/[**'")[0]).to.include({ path: 'options.ignore_files[0]' });
+    });
+
+    it('accepts "files" rules with a status or a list of statuses', function() {
+      const content = [
+        'files:',
+        "  'migrations/**':",
+        '    reviewers: [ dba ]',
+        '    status: added',
+        "  'api/public/**':",
+        '    required: [ api-owners ]',
+        '    status: [ removed, renamed ]',
+      ].join('\n');
+
+      expect(() => parse_config(content)).to.not.throw();
+      expect(problems_of("files:\n  'db/**':\n    reviewers: [ dba ]\n    status: deleted")[0]).to.include({ path: 'files.db/**.status', line: 4 });
+    });
+
+    it('accepts "enable_group_assignment" as a boolean or a list of groups and teams', function() {
+      expect(() => parse_config('options:\n  enable_group_assignment: [ engineers, team:designers ]')).to.not.throw();
+      expect(problems_of('options:\n  enable_group_assignment: engineers')[0]).to.include({ path: 'options.enable_group_assignment' });
+    });
+
+    it('accepts "labels" rules and reports malformed ones', function() {
+      const content = [
+        'labels:',
+        '  security:',
+        '    - security-team',
+        "  'needs-*':",
+        '    required:',
+        '      - princess-peach',
+        '  bug: mario',
+      ].join('\n');
+
+      expect(problems_of(content).map(({ path, message }) => ({ path, message }))).to.deep.equal([
+        { path: 'labels.bug', message: 'must be a list or mapping but got string "mario"' },
+      ]);
+    });
+
+    it('accepts "conditions" and reports malformed ones', function() {
+      const content = [
+        'conditions:',
+        "  - head_branch: '^hotfix/'",
+        '    required:',
+        '      - on-call',
+        "  - author_association: '^FIRST_TIME_CONTRIBUTOR$'",
+        '    skip: true',
+        "  - title: '[WIP'",
+        '    skip: true',
+        '  - reviewers:',
+        '      - mario',
+      ].join('\n');
+
+      expect(problems_of(content).map(({ path, message }) => ({ path, message }))).to.deep.equal([
+        { path: 'conditions[2].title', message: 'is not a valid regular expression: string "[WIP"' },
+        { path: 'conditions[3]', message: 'must have at least one of the keys "title", "body", "head_branch", "author_association"' },
+      ]);
+    });
+
+    it('accepts "branches" sections and reports malformed ones', function() {
+      const content = [
+        'branches:',
+        "  'release/**':",
+        '    reviewers:',
+        '      defaults:',
+        '        - release-managers',
+        '    files:',
+        "      '**':",
+        '        - release-managers',
+        '    options:',
+        '      number_of_reviewers: 1',
+        '  main:',
+        '    availability: {}',
+      ].join('\n');
+
+      expect(problems_of(content).map(({ path, message }) => ({ path, message }))).to.deep.equal([
+        { path: 'branches.main.availability', message: 'is not a known key; expected one of "reviewers", "files", "labels", "conditions", "options"' },
+      ]);
+    });
+
+    it('accepts "rerequest_approvers" as a boolean or thresholds', function() {
+      expect(() => parse_config('options:\n  rerequest_approvers: true')).to.not.throw();
+      expect(() => parse_config([
+        'options:',
+        '  rerequest_approvers:',
+        '    min_changed_lines: 20',
+        '    files:',
+        "      - 'src/**'",
+      ].join('\n'))).to.not.throw();
+
+      expect(problems_of('options:\n  rerequest_approvers:\n    min_changed_lines: 0')[0]).to.include({
+        path: 'options.rerequest_approvers.min_changed_lines',
+        message: 'must be greater than or equal to 1 but got 0',
+      });
+    });
+
+    it('accepts "size_tiers" and reports tiers without reviewers nor a label', function() {
+      const content = [
+        'options:',
+        '  size_tiers:',
+        '    - max_lines: 50',
+        '      reviewers: 1',
+        '      label: size/S',
+        '    - label: size/M',
+        '      max_lines: 500',
+        '    - reviewers: 3',
+        '    - max_lines: 1000',
+      ].join('\n');
+
+      expect(problems_of(content).map(({ path, message }) => ({ path, message }))).to.deep.equal([
+        { path: 'options.size_tiers[3]', message: 'must have at least one of the keys "reviewers", "label"' },
+      ]);
+      expect(problems_of('options:\n  size_tiers:\n    - max_lines: 0\n      reviewers: 1')[0]).to.include({
+        path: 'options.size_tiers[0].max_lines',
+        message: 'must be greater than or equal to 1 but got 0',
+      });
+    });
+
+    it('accepts "availability" and reports malformed dates', function() {
+      const content = [
+        'availability:',
+        '  unavailable:',
+        '    - reviewer: mario',
+        "      from: '2024-08-01'",
+        '      until: 2024-08-15T18:00:00Z',
+        '    - reviewer: luigi',
+        '      from: next monday',
+        '  github_status: true',
+        '  file: .github/availability.ics',
+      ].join('\n');
+
+      expect(problems_of(content)).to.deep.equal([ {
+        file: 'reviewers.yml',
+        path: 'availability.unavailable[1].from',
+        line: 7,
+        column: 13,
+        message: 'must be a date like "2024-08-01" or "2024-08-01T09:00:00Z" but got string "next monday"',
+      } ]);
+    });
+
+    it('reports malformed working hours', function() {
+      const content = [
+        'availability:',
+        '  working_hours:',
+        '    mario:',
+        '      timezone: Europe/Paris',
+        "      hours: '09:00-18:00'",
+        '      days: [ mon, tue ]',
+        '    luigi:',
+        '      timezone: Mars/Olympus_Mons',
+        "      hours: '9 to 5'",
+        '    toad:',
+        '      timezone: UTC',
+        'options:',
+        '  prefer_working_hours:',
+        '    within_hours: 2',
+      ].join('\n');
+
+      expect(problems_of(content).map(({ path, message }) => ({ path, message }))).to.deep.equal([
+        { path: 'availability.working_hours.luigi.timezone', message: 'must be an IANA time zone like "Europe/Paris" but got string "Mars/Olympus_Mons"' },
+        { path: 'availability.working_hours.luigi.hours', message: 'must be a time range like "09:00-18:00" but got string "9 to 5"' },
+        { path: 'availability.working_hours.toad', message: 'must have the key "hours"' },
+      ]);
+    });
+
+    it('accepts groups with "include" and "exclude" lists', function() {
+      const content = [
+        'reviewers:',
+        '  groups:',
+        '    backend:',
+        '      - mario',
+        '      - backend-leads',
+        '    juniors:',
+        '      include:',
+        '        - backend',
+        '      exclude:',
+        '        - backend-leads',
+        '    leads:',
+        '      exclude:',
+        '        - mario',
+      ].join('\n');
+
+      expect(problems_of(content).map(({ path, message }) => ({ path, message }))).to.deep.equal([
+        { path: 'reviewers.groups.leads', message: 'must have the key "include"' },
+      ]);
+    });
+
+    it('reports malformed globs', function() {
+      const content = [
+        'files:',
+        "  'src/[abc':",
+        '    - mario',
+        "  'src/**/*.{js,ts':",
+        '    - luigi',
+      ].join('\n');
+
+      const problems = problems_of(content);
+      expect(problems.map((problem) => problem.path)).to.deep.equal([ 'files.src/[abc', 'files.src/**/*.{js,ts' ]);
+      expect(problems.map((problem) => problem.line)).to.deep.equal([ 2, 4 ]);
+    });
+
+    it('reports YAML syntax errors', function() {
+      const content = [
+        'files:',
+        "  '**': [ mario",
+        'options: {}',
+      ].join('\n');
+
+      const problems = problems_of(content);
+      expect(problems).to.have.lengthOf.at.least(1);
+      expect(problems[0].line).to.be.a('number');
+      expect(problems[0].message).to.not.include('\n');
+    });
+
+    it('reports a configuration that is not a mapping', function() {
+      expect(problems_of('- mario')[0]).to.include({ path: '', message: 'must be a mapping but got a list' });
+    });
+
+    it('lists every problem in the error message', function() {
+      const content = [
+        'reviewers:',
+        '  per_autor: {}',
+        'options:',
+        '  number_of_reviewers: 0',
+      ].join('\n');
+
+      expect(() => parse_config(content, { file: 'reviewers.yml' })).to.throw(
+        'Invalid configuration file:\n'
+        + '- reviewers.yml, line 2, column 3: "reviewers.per_autor" is not a known key; expected one of "defaults", "groups", "per_author"\n'
+        + '- reviewers.yml, line 4, column 24: "options.number_of_reviewers" must be greater than or equal to 1 but got 0'
+      );
+    });
+  });
+
+  describe('merge_configs()', function() {
+    const base = {
+      reviewers: {
+        defaults: [ 'dr-mario' ],
+        groups: {
+          'mario-brothers': [ 'mario', 'luigi' ],
+          'koopa-troop': [ 'bowser' ],
+        },
+      },
+      files: {
+        '**': [ 'mario-brothers' ],
+        '**/*.js': [ 'koopa-troop' ],
+      },
+      options: {
+        ignore_draft: false,
+        number_of_reviewers: 2,
+      },
+    };
+
+    it('merges groups, files and options key by key', function() {
+      const override = {
+        reviewers: {
+          groups: {
+            'koopa-troop': [ 'bowser', 'bowser-jr' ],
+            'toads': [ 'toad' ],
+          },
+        },
+        files: {
+          '**/*.rb': [ 'toads' ],
+        },
+        options: {
+          number_of_reviewers: 3,
+        },
+      };
+
+      expect(merge_configs(base, override)).to.deep.equal({
+        reviewers: {
+          defaults: [ 'dr-mario' ],
+          groups: {
+            'mario-brothers': [ 'mario', 'luigi' ],
+            'koopa-troop': [ 'bowser', 'bowser-jr' ],
+            'toads': [ 'toad' ],
+          },
+        },
+        files: {
+          '**': [ 'mario-brothers' ],
+          '**/*.js': [ 'koopa-troop' ],
+          '**/*.rb': [ 'toads' ],
+        },
+        options: {
+          ignore_draft: false,
+          number_of_reviewers: 3,
+        },
+      });
+    });
+
+    it('replaces lists instead of concatenating them', function() {
+      const override = { reviewers: { defaults: [ 'princess-peach' ] } };
+      expect(merge_configs(base, override).reviewers.defaults).to.deep.equal([ 'princess-peach' ]);
+    });
+
+    it('moves overridden "files" rules after the base ones', function() {
+      const override = { files: { '**': [ 'toad' ] } };
+      expect(Object.keys(merge_configs(base, override).files)).to.deep.equal([ '**/*.js', '**' ]);
+    });
+
+    it('does not modify the given configs', function() {
+      const override = { options: { number_of_reviewers: 3 } };
+      merge_configs(base, override);
+
+      expect(base.options.number_of_reviewers).to.equal(2);
+      expect(override).to.deep.equal({ options: { number_of_reviewers: 3 } });
+    });
+  });
+
+  describe('select_branch_config()', function() {
+    const config = {
+      reviewers: {
+        defaults: [ 'dr-mario' ],
+        groups: {
+          'release-managers': [ 'bowser' ],
+        },
+      },
+      files: {
+        '**': [ 'mario' ],
+      },
+      options: {
+        number_of_reviewers: 2,
+      },
+      branches: {
+        'release/**': {
+          files: {
+            '**': [ 'release-managers' ],
+          },
+          options: {
+            number_of_reviewers: 1,
+          },
+        },
+        'release/legacy-*': {
+          reviewers: {
+            defaults: [ 'luigi' ],
+          },
+        },
+      },
+    };
+
+    it('merges the sections of the branches matching the base branch over the top-level ones', function() {
+      expect(select_branch_config(config, 'release/legacy-1.0')).to.deep.equal({
+        reviewers: {
+          defaults: [ 'luigi' ],
+          groups: {
+            'release-managers': [ 'bowser' ],
+          },
+        },
+        files: {
+          '**': [ 'release-managers' ],
+        },
+        options: {
+          number_of_reviewers: 1,
+        },
+      });
+    });
+
+    it('drops the "branches" sections when no branches match', function() {
+      const { reviewers, files, options } = config;
+      expect(select_branch_config(config, 'main')).to.deep.equal({ reviewers, files, options });
+    });
+  });
+
+  describe('format_problem()', function() {
+    it('formats a problem without a location', function() {
+      expect(format_problem({ path: 'files', message: 'must be a mapping' })).to.equal('"files" must be a mapping');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const { build_explanation, render_explanation } = require('../src/explanation');
+const { expect } = require('chai');
+
+describe('explanation', function() {
+  describe('build_explanation()', function() {
+    it('tells the outcome of each candidate', function() {
+      const reasons = {
+        mario: [ 'reason 1' ],
+        luigi: [ 'reason 2' ],
+        bowser: [ 'reason 3' ],
+        toad: [ 'reason 4', 'reason 5' ],
+      };
+
+      const explanation = build_explanation({
+        reasons,
+        reviewer_tiers: { mario: 'required' },
+        requested_approved_reviewers: [ 'luigi' ],
+        missing_access: [ 'bowser' ],
+        selection_strategy: 'round_robin',
+      });
+
+      expect(explanation).to.deep.equal([
+        { reviewer: 'mario', outcome: 'requested (required)', reasons: [ 'reason 1' ] },
+        { reviewer: 'luigi', outcome: 'already requested or approved', reasons: [ 'reason 2' ] },
+        { reviewer: 'bowser', outcome: 'skipped for not having access', reasons: [ 'reason 3' ] },
+        { reviewer: 'toad', outcome: 'not picked by the `round_robin` strategy', reasons: [ 'reason 4', 'reason 5' ] },
+      ]);
+    });
+
+    it('defaults to the random strategy', function() {
+      const explanation = build_explanation({ reasons: { mario: [ 'reason' ] }, reviewer_tiers: {} });
+      expect(explanation[0].outcome).to.equal('not picked by the `random` strategy');
+    });
+  });
+
+  describe('render_explanation()', function() {
+    it('renders a collapsible table', function() {
+      const explanation = [
+        { reviewer: 'mario', outcome: 'requested (optional)', reasons: [ '`files` rule `**/*.{js|ts}` matched `a.js`', 'reason' ] },
+      ];
+
+      expect(render_explanation(explanation)).to.equal([
+        '<details>',
+        '<summary>Why these reviewers?</summary>',
+        '',
+        '| Reviewer | Outcome | Reasons |',
+        '| --- | --- | --- |',
+        '| mario | requested (optional) | `files` rule `**/*.{js\\|ts}` matched `a.js`<br>reason |',
+        '',
+        '</details>',
+      ].join('\n'));
+    });
+  });
+});
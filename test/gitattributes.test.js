@@ -0,0 +1,63 @@
+'use strict';
+
+const { parse_gitattributes, identify_linguist_files } = require('../src/gitattributes');
+const { expect } = require('chai');
+
+describe('gitattributes', function() {
+  describe('parse_gitattributes()', function() {
+    it('keeps the lines setting linguist attributes only', function() {
+      const content = [
+        '# Generated files',
+        '* text=auto',
+        'dist/** linguist-generated',
+        '',
+        'vendor/**   linguist-vendored=true -diff',
+        'vendor/keep.js -linguist-vendored',
+        'docs/*.md linguist-documentation',
+      ].join('\n');
+
+      expect(parse_gitattributes(content).map(({ pattern, attributes }) => ({ pattern, attributes }))).to.deep.equal([
+        { pattern: 'dist/**', attributes: { 'linguist-generated': true } },
+        { pattern: 'vendor/**', attributes: { 'linguist-vendored': true } },
+        { pattern: 'vendor/keep.js', attributes: { 'linguist-vendored': false } },
+      ]);
+    });
+
+    it('reads "=false" and "!" as unsetting the attribute', function() {
+      const [ rule ] = parse_gitattributes('*.js linguist-generated=false !linguist-vendored');
+      expect(rule.attributes).to.deep.equal({ 'linguist-generated': false, 'linguist-vendored': false });
+    });
+
+    it('anchors patterns with a slash to the repository root', function() {
+      const globs = parse_gitattributes([
+        'package-lock.json linguist-generated',
+        '/dist/** linguist-generated',
+        'lib/*.min.js linguist-vendored',
+      ].join('\n')).map(({ glob }) => glob);
+
+      expect(globs).to.deep.equal([ '**/package-lock.json', 'dist/**', 'lib/*.min.js' ]);
+    });
+
+    it('ignores patterns naming a directory', function() {
+      expect(parse_gitattributes('vendor/ linguist-vendored')).to.deep.equal([]);
+    });
+  });
+
+  describe('identify_linguist_files()', function() {
+    const rules = parse_gitattributes([
+      'package-lock.json linguist-generated',
+      'vendor/** linguist-vendored',
+      'vendor/keep.js -linguist-vendored',
+    ].join('\n'));
+
+    it('returns the files generated or vendored as of the last matching lines', function() {
+      const files = [ 'package-lock.json', 'web/package-lock.json', 'vendor/lib.js', 'vendor/keep.js', 'src/index.js' ];
+
+      expect(identify_linguist_files({ rules, files })).to.deep.equal([ 'package-lock.json', 'web/package-lock.json', 'vendor/lib.js' ]);
+    });
+
+    it('returns nothing without rules', function() {
+      expect(identify_linguist_files({ rules: [], files: [ 'package-lock.json' ] })).to.deep.equal([]);
+    });
+  });
+});
@@ -38,6 +38,31 @@ describe('github', function() {
       expect(pull_request.title).to.equal('Extract GitHub related functions into a github module');
       expect(pull_request.author).to.equal('necojackarc');
       expect(pull_request.is_draft).to.be.false;
+      expect(pull_request.base_ref).to.equal('master');
+      expect(pull_request.head_ref).to.equal('refactor-module-structure');
+    });
+  });
+
+  describe('use_pull_request()', function() {
+    it('switches the pull request the following calls work on', function() {
+      rewired_github.use_pull_request({
+        number: 42,
+        title: 'Another Pull Request',
+        body: 'Fixes the crash',
+        draft: true,
+        user: { login: 'mario' },
+        author_association: 'FIRST_TIME_CONTRIBUTOR',
+        labels: [ { name: 'security' } ],
+      });
+
+      const pull_request = rewired_github.get_pull_request();
+      expect(pull_request.title).to.equal('Another Pull Request');
+      expect(pull_request.author).to.equal('mario');
+      expect(pull_request.is_draft).to.be.true;
+      expect(pull_request.labels).to.deep.equal([ 'security' ]);
+      expect(pull_request.body).to.equal('Fixes the crash');
+      expect(pull_request.author_association).to.equal('FIRST_TIME_CONTRIBUTOR');
+      expect(rewired_github.get_comment_footer()).to.include(Buffer.from('auto-request-review-42').toString('base64'));
     });
   });
 
@@ -76,6 +101,478 @@ describe('github', function() {
     });
   });
 
+  describe('fetch_config() with "extends"', function() {
+    const getContent = sinon.stub();
+    const octokit = {
+      repos: {
+        getContent,
+      },
+    };
+
+    function respond_with({ owner = 'necojackarc', repo = 'auto-request-review', path, ref }, lines) {
+      getContent.withArgs({ owner, repo, path, ref }).resolves({
+        data: {
+          encoding: 'base64',
+          content: Buffer.from(lines.join('\n')).toString('base64'),
+        },
+      });
+    }
+
+    let restoreModule;
+    beforeEach(function() {
+      core.getInput.withArgs('config').returns('.github/reviewers.yml');
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+
+      const not_found = new Error('Not Found');
+      not_found.status = 404;
+      getContent.rejects(not_found);
+    });
+
+    afterEach(function() {
+      getContent.reset();
+      restoreModule();
+    });
+
+    it('merges a base config from another repository over which the config takes precedence', async function() {
+      respond_with({ path: '.github/reviewers.yml', ref: 'refs/pull/18/merge' }, [
+        'extends: mushroom-kingdom/configs:reviewers/base.yml@v1',
+        'reviewers:',
+        '  groups:',
+        '    koopa-troop:',
+        '      - bowser-jr',
+        'options:',
+        '  number_of_reviewers: 1',
+      ]);
+      respond_with({ owner: 'mushroom-kingdom', repo: 'configs', path: 'reviewers/base.yml', ref: 'v1' }, [
+        'reviewers:',
+        '  groups:',
+        '    mario-brothers:',
+        '      - mario',
+        '      - luigi',
+        '    koopa-troop:',
+        '      - bowser',
+        'files:',
+        "  '**':",
+        '    - mario-brothers',
+        'options:',
+        '  ignore_draft: false',
+        '  number_of_reviewers: 2',
+      ]);
+
+      const actual = await rewired_github.fetch_config();
+      expect(actual).to.deep.equal({
+        reviewers: {
+          groups: {
+            'mario-brothers': [ 'mario', 'luigi' ],
+            'koopa-troop': [ 'bowser-jr' ],
+          },
+        },
+        files: {
+          '**': [ 'mario-brothers' ],
+        },
+        options: {
+          ignore_draft: false,
+          number_of_reviewers: 1,
+        },
+      });
+    });
+
+    it('merges several bases in order and resolves paths against the same repository and ref', async function() {
+      respond_with({ path: '.github/reviewers.yml', ref: 'refs/pull/18/merge' }, [
+        'extends:',
+        '  - mushroom-kingdom/configs:base.yml',
+        '  - .github/local_base.yml',
+      ]);
+      respond_with({ owner: 'mushroom-kingdom', repo: 'configs', path: 'base.yml', ref: undefined }, [
+        'options:',
+        '  number_of_reviewers: 2',
+        '  ignore_draft: false',
+      ]);
+      respond_with({ path: '.github/local_base.yml', ref: 'refs/pull/18/merge' }, [
+        'options:',
+        '  number_of_reviewers: 3',
+      ]);
+
+      const actual = await rewired_github.fetch_config();
+      expect(actual).to.deep.equal({ options: { number_of_reviewers: 3, ignore_draft: false } });
+    });
+
+    it('fails when configs extend each other in a cycle', async function() {
+      respond_with({ path: '.github/reviewers.yml', ref: 'refs/pull/18/merge' }, [
+        'extends: mushroom-kingdom/configs:base.yml',
+      ]);
+      respond_with({ owner: 'mushroom-kingdom', repo: 'configs', path: 'base.yml', ref: undefined }, [
+        'extends: necojackarc/auto-request-review:.github/reviewers.yml@refs/pull/18/merge',
+      ]);
+
+      const error = await rewired_github.fetch_config().catch((actual) => actual);
+      expect(error.message).to.equal('Configuration files extend each other in a cycle: '
+        + 'necojackarc/auto-request-review:.github/reviewers.yml@refs/pull/18/merge'
+        + ' -> mushroom-kingdom/configs:base.yml'
+        + ' -> necojackarc/auto-request-review:.github/reviewers.yml@refs/pull/18/merge');
+    });
+
+    it('fails with an explicit error when a base config is missing', async function() {
+      respond_with({ path: '.github/reviewers.yml', ref: 'refs/pull/18/merge' }, [
+        'extends: mushroom-kingdom/configs:missing.yml',
+      ]);
+
+      const error = await rewired_github.fetch_config().catch((actual) => actual);
+      expect(error.status).to.be.undefined;
+      expect(error.message).to.equal('Base configuration "mushroom-kingdom/configs:missing.yml" extended by '
+        + 'necojackarc/auto-request-review:.github/reviewers.yml@refs/pull/18/merge is not found');
+    });
+
+    it('fails on a malformed reference', async function() {
+      respond_with({ path: '.github/reviewers.yml', ref: 'refs/pull/18/merge' }, [
+        'extends: mushroom-kingdom:base.yml',
+      ]);
+
+      const error = await rewired_github.fetch_config().catch((actual) => actual);
+      expect(error.message).to.include('Invalid "extends" reference "mushroom-kingdom:base.yml"');
+    });
+
+    it('reads bases from disk when "use_local" is on', async function() {
+      core.getInput.withArgs('config').returns('test/assets/extending_reviewers.yml');
+      core.getInput.withArgs('use_local').returns('true');
+
+      const actual = await rewired_github.fetch_config();
+      expect(actual.reviewers.groups).to.deep.equal({ 'repository-owner': [ 'necojackarc', 'mario' ] });
+      expect(actual.files).to.deep.equal({ '**/*': [ 'repository-owner' ] });
+      expect(actual.options.ignore_draft).to.be.false;
+      expect(getContent.notCalled).to.be.true;
+    });
+  });
+
+  describe('fetch_codeowners()', function() {
+    const getContent = sinon.stub();
+    const searchUsers = sinon.stub();
+    const octokit = {
+      repos: {
+        getContent,
+      },
+      search: {
+        users: searchUsers,
+      },
+    };
+
+    function respond_with(path, lines) {
+      getContent.withArgs({ owner: 'necojackarc', repo: 'auto-request-review', path, ref: 'refs/pull/18/merge' }).resolves({
+        data: {
+          encoding: 'base64',
+          content: Buffer.from(lines.join('\n')).toString('base64'),
+        },
+      });
+    }
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+
+      const not_found = new Error('Not Found');
+      not_found.status = 404;
+      getContent.rejects(not_found);
+      searchUsers.resolves({ data: { items: [] } });
+      sinon.stub(core, 'warning');
+    });
+
+    afterEach(function() {
+      getContent.reset();
+      searchUsers.reset();
+      core.warning.restore();
+      restoreModule();
+    });
+
+    it('looks up the standard locations in order', async function() {
+      respond_with('CODEOWNERS', [ '*.js @mario' ]);
+      respond_with('docs/CODEOWNERS', [ '*.rb @luigi' ]);
+
+      const actual = await rewired_github.fetch_codeowners();
+      expect(actual).to.deep.equal([ { pattern: '*.js', globs: [ '**/*.js' ], reviewers: [ 'mario' ] } ]);
+      expect(getContent.firstCall.args[0].path).to.equal('.github/CODEOWNERS');
+    });
+
+    it('reads the given path only', async function() {
+      respond_with('.github/CODEOWNERS', [ '*.js @mario' ]);
+      respond_with('config/OWNERS', [ '*.rb @luigi' ]);
+
+      const actual = await rewired_github.fetch_codeowners({ path: 'config/OWNERS' });
+      expect(actual.map(({ reviewers }) => reviewers)).to.deep.equal([ [ 'luigi' ] ]);
+    });
+
+    it('returns no rules with a warning when no CODEOWNERS file is found', async function() {
+      const actual = await rewired_github.fetch_codeowners();
+      expect(actual).to.deep.equal([]);
+      expect(core.warning.calledOnce).to.be.true;
+    });
+
+    it('resolves email owners and drops the unknown ones', async function() {
+      respond_with('.github/CODEOWNERS', [ '* mario@example.com @mushroom-kingdom/toads bowser@example.com' ]);
+      searchUsers.withArgs({ q: 'mario@example.com in:email' })
+        .resolves({ data: { items: [ { login: 'mario' } ] } });
+
+      const [ rule ] = await rewired_github.fetch_codeowners();
+      expect(rule.reviewers).to.deep.equal([ 'mario', 'team:toads' ]);
+      expect(core.warning.calledOnce).to.be.true;
+      expect(core.warning.lastCall.args[0]).to.include('bowser@example.com');
+    });
+  });
+
+  describe('fetch_gitattributes()', function() {
+    const getContent = sinon.stub();
+    const octokit = {
+      repos: {
+        getContent,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+
+    afterEach(function() {
+      getContent.reset();
+      restoreModule();
+    });
+
+    it('reads and parses the .gitattributes file', async function() {
+      const content = '* text=auto\ndist/** linguist-generated\n';
+      getContent.withArgs({ owner: 'necojackarc', repo: 'auto-request-review', path: '.gitattributes', ref: 'refs/pull/18/merge' }).resolves({
+        data: {
+          encoding: 'base64',
+          content: Buffer.from(content).toString('base64'),
+        },
+      });
+
+      const actual = await rewired_github.fetch_gitattributes();
+      expect(actual).to.deep.equal([ { pattern: 'dist/**', glob: 'dist/**', attributes: { 'linguist-generated': true } } ]);
+    });
+
+    it('returns no rules when the file is not found', async function() {
+      const not_found = new Error('Not Found');
+      not_found.status = 404;
+      getContent.rejects(not_found);
+
+      const actual = await rewired_github.fetch_gitattributes();
+      expect(actual).to.deep.equal([]);
+    });
+  });
+
+  describe('fetch_availability_file()', function() {
+    const getContent = sinon.stub();
+    const octokit = {
+      repos: {
+        getContent,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+      sinon.stub(core, 'warning');
+    });
+
+    afterEach(function() {
+      getContent.reset();
+      core.warning.restore();
+      restoreModule();
+    });
+
+    it('reads and parses the file', async function() {
+      const content = JSON.stringify([ { reviewer: 'mario', from: '2024-08-01' } ]);
+      getContent.withArgs({ owner: 'necojackarc', repo: 'auto-request-review', path: '.github/availability.json', ref: 'refs/pull/18/merge' }).resolves({
+        data: {
+          encoding: 'base64',
+          content: Buffer.from(content).toString('base64'),
+        },
+      });
+
+      const actual = await rewired_github.fetch_availability_file({ path: '.github/availability.json' });
+      expect(actual).to.deep.equal([ { reviewer: 'mario', from: '2024-08-01' } ]);
+    });
+
+    it('returns no entries with a warning when the file is not found', async function() {
+      const not_found = new Error('Not Found');
+      not_found.status = 404;
+      getContent.rejects(not_found);
+
+      const actual = await rewired_github.fetch_availability_file({ path: '.github/availability.json' });
+      expect(actual).to.deep.equal([]);
+      expect(core.warning.calledOnce).to.be.true;
+    });
+  });
+
+  describe('fetch_busy_reviewers()', function() {
+    const stub = sinon.stub();
+    const octokit = {
+      graphql: stub,
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      stub.reset();
+      restoreModule();
+    });
+
+    it('returns the individuals whose status indicates limited availability', async function() {
+      stub.resolves({
+        user0: { status: { indicatesLimitedAvailability: true } },
+        user1: { status: null },
+        user2: { status: { indicatesLimitedAvailability: false } },
+      });
+
+      const actual = await rewired_github.fetch_busy_reviewers([ 'mario', 'team:koopa-troop', 'luigi', 'toad' ]);
+
+      expect(actual).to.deep.equal([ 'mario' ]);
+      expect(stub.lastCall.args[1]).to.deep.equal({ login0: 'mario', login1: 'luigi', login2: 'toad' });
+      expect(stub.lastCall.args[0]).to.include('user2: user(login: $login2)');
+    });
+
+    it('does not query without individuals', async function() {
+      const actual = await rewired_github.fetch_busy_reviewers([ 'team:koopa-troop' ]);
+
+      expect(actual).to.deep.equal([]);
+      expect(stub.notCalled).to.be.true;
+    });
+  });
+
+  describe('fetch_file_history()', function() {
+    const stub = sinon.stub();
+    const octokit = {
+      graphql: stub,
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      stub.reset();
+      restoreModule();
+    });
+
+    it('returns the commits to each file with the reviewers of their pull requests', async function() {
+      stub.resolves({
+        repository: {
+          object: {
+            file0: {
+              nodes: [ {
+                committedDate: '2024-08-01T00:00:00Z',
+                author: { user: { login: 'mario' } },
+                associatedPullRequests: { nodes: [ { reviews: { nodes: [ { author: { login: 'luigi' } }, { author: { login: 'luigi' } }, { author: null } ] } } ] },
+              }, {
+                committedDate: '2024-07-01T00:00:00Z',
+                author: { user: null },
+                associatedPullRequests: { nodes: [] },
+              } ],
+            },
+            file1: { nodes: [] },
+          },
+        },
+      });
+
+      const actual = await rewired_github.fetch_file_history([ 'super/mario/64', 'paper/mario' ]);
+
+      expect(actual).to.deep.equal({
+        'super/mario/64': [
+          { author: 'mario', reviewers: [ 'luigi' ], committed_at: '2024-08-01T00:00:00Z' },
+          { author: undefined, reviewers: [], committed_at: '2024-07-01T00:00:00Z' },
+        ],
+        'paper/mario': [],
+      });
+      expect(stub.lastCall.args[1]).to.deep.equal({
+        owner: 'necojackarc',
+        repo: 'auto-request-review',
+        oid: 'bd161db8586ed7667724f7d01f60f4b00c458258',
+        path0: 'super/mario/64',
+        path1: 'paper/mario',
+      });
+      expect(stub.lastCall.args[0]).to.include('file1: history(first: 30, path: $path1)');
+    });
+
+    it('does not query without files', async function() {
+      expect(await rewired_github.fetch_file_history([])).to.deep.equal({});
+      expect(stub.notCalled).to.be.true;
+    });
+  });
+
+  describe('fetch_team_members()', function() {
+    const stub = sinon.stub();
+    const octokit = {
+      teams: {
+        listMembersInOrg: stub,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      stub.reset();
+      restoreModule();
+    });
+
+    it('returns the members of each team', async function() {
+      stub.withArgs(sinon.match({ team_slug: 'super_marios' })).resolves({ data: [ { login: 'mario' }, { login: 'luigi' } ] });
+      stub.withArgs(sinon.match({ team_slug: 'toads' })).resolves({ data: [ { login: 'toad' } ] });
+
+      const actual = await rewired_github.fetch_team_members([ 'team:super_marios', 'bowser', 'team:toads' ]);
+
+      expect(actual).to.deep.equal({
+        'team:super_marios': [ 'mario', 'luigi' ],
+        'team:toads': [ 'toad' ],
+      });
+      expect(stub.firstCall.args[0]).to.include({ org: 'necojackarc', team_slug: 'super_marios' });
+    });
+
+    it('leaves out the teams whose members cannot be listed and caches the results', async function() {
+      stub.withArgs(sinon.match({ team_slug: 'super_marios' })).resolves({ data: [ { login: 'mario' } ] });
+      stub.withArgs(sinon.match({ team_slug: 'secret' })).rejects(new Error('Not Found'));
+
+      expect(await rewired_github.fetch_team_members([ 'team:super_marios', 'team:secret' ])).to.deep.equal({ 'team:super_marios': [ 'mario' ] });
+      expect(await rewired_github.fetch_team_members([ 'team:super_marios', 'team:secret' ])).to.deep.equal({ 'team:super_marios': [ 'mario' ] });
+      expect(stub.callCount).to.equal(2);
+    });
+  });
+
+  describe('fetch_author_teams()', function() {
+    const stub = sinon.stub();
+    const octokit = {
+      teams: {
+        getMembershipForUserInOrg: stub,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      stub.reset();
+      restoreModule();
+    });
+
+    it('returns the teams the author is an active member of', async function() {
+      const not_found = new Error('Not Found');
+      not_found.status = 404;
+
+      stub.withArgs(sinon.match({ team_slug: 'super_marios' })).resolves({ data: { state: 'active' } });
+      stub.withArgs(sinon.match({ team_slug: 'toads' })).resolves({ data: { state: 'pending' } });
+      stub.withArgs(sinon.match({ team_slug: 'koopas' })).rejects(not_found);
+
+      const actual = await rewired_github.fetch_author_teams([ 'team:super_marios', 'team:toads', 'team:koopas', 'mario' ]);
+
+      expect(actual).to.deep.equal([ 'team:super_marios' ]);
+      expect(stub.callCount).to.equal(3);
+      expect(stub.firstCall.args[0]).to.deep.equal({ org: 'necojackarc', team_slug: 'super_marios', username: 'necojackarc' });
+    });
+  });
+
   describe('fetch_changed_files()', function() {
     const stub = sinon.stub();
     const octokit = {
@@ -95,11 +592,16 @@ describe('github', function() {
     it('fetch changed files', async function() {
       stub.returns({
         data: [
-          { filename: 'super/mario/64' },
-          { filename: 'paper/mario' },
+          { filename: 'super/mario/64', status: 'modified', additions: 3, deletions: 1, changes: 4, patch: '@@ -1,2 +1,4 @@' },
+          { filename: 'paper/mario', status: 'added', additions: 10, deletions: 0, changes: 10 },
+          { filename: 'super/mario/odyssey', status: 'renamed', additions: 0, deletions: 0, changes: 0, previous_filename: 'super/mario/switch' },
         ],
       });
-      const expected = [ 'super/mario/64', 'paper/mario' ];
+      const expected = [
+        { filename: 'super/mario/64', status: 'modified', additions: 3, deletions: 1, changes: 4 },
+        { filename: 'paper/mario', status: 'added', additions: 10, deletions: 0, changes: 10 },
+        { filename: 'super/mario/odyssey', status: 'renamed', additions: 0, deletions: 0, changes: 0, previous_filename: 'super/mario/switch' },
+      ];
       const actual = await rewired_github.fetch_changed_files();
       expect(actual).to.deep.equal(expected);
     });
@@ -126,7 +628,7 @@ describe('github', function() {
       stub.onCall(3).returns({ data: filenames_in_chunks[2].map((filename) => ({ filename })) });
 
       const changed_files = await rewired_github.fetch_changed_files();
-      expect(changed_files).to.have.members(filenames);
+      expect(changed_files.map((changed_file) => changed_file.filename)).to.have.members(filenames);
     });
   });
 
@@ -248,33 +750,340 @@ describe('github', function() {
       expect(actual).to.deep.equal(expected);
     });
 
-    it('fetches reviewers - mixed approved and requested', async function() {
-      stub.returns({
-        repository: {
-          pullRequest: {
-            timelineItems: {
-              nodes: [
-                { requestedReviewer: { login: 'bowser' } },
-                { requestedReviewer: { login: 'peach' } },
-                { requestedReviewer: { login: 'luigi' } },
-                { requestedReviewer: { slug: 'super_marios' } },
-                { requestedReviewer: { slug: 'toads' } },
-                {
-                  author: { login: 'bowser' },
-                  state: 'APPROVED',
-                },
-                {
-                  author: { login: 'mario' },
-                  state: 'APPROVED',
-                },
-              ],
-            },
-          },
-        },
+    it('fetches reviewers - mixed approved and requested', async function() {
+      stub.returns({
+        repository: {
+          pullRequest: {
+            timelineItems: {
+              nodes: [
+                { requestedReviewer: { login: 'bowser' } },
+                { requestedReviewer: { login: 'peach' } },
+                { requestedReviewer: { login: 'luigi' } },
+                { requestedReviewer: { slug: 'super_marios' } },
+                { requestedReviewer: { slug: 'toads' } },
+                {
+                  author: { login: 'bowser' },
+                  state: 'APPROVED',
+                },
+                {
+                  author: { login: 'mario' },
+                  state: 'APPROVED',
+                },
+              ],
+            },
+          },
+        },
+      });
+      const expected = [ 'bowser', 'peach', 'luigi', 'team:super_marios', 'team:toads', 'mario' ];
+      const actual = await rewired_github.fetch_reviewers();
+      expect(actual).to.deep.equal(expected);
+    });
+
+    context('with removed review requests', function() {
+      let restoreLogin;
+      beforeEach(function() {
+        restoreLogin = rewired_github.__set__('action_login_cache', 'github-actions');
+        stub.returns({
+          repository: {
+            pullRequest: {
+              timelineItems: {
+                nodes: [
+                  { type: 'ReviewRequestedEvent', actor: { login: 'github-actions' }, requestedReviewer: { login: 'bowser' } },
+                  { type: 'ReviewRequestedEvent', actor: { login: 'github-actions' }, requestedReviewer: { login: 'peach' } },
+                  { type: 'ReviewRequestedEvent', actor: { login: 'github-actions' }, requestedReviewer: { slug: 'toads' } },
+                  { type: 'ReviewRequestedEvent', actor: { login: 'github-actions' }, requestedReviewer: { login: 'yoshi' } },
+                  { type: 'PullRequestReview', author: { login: 'peach' }, state: 'APPROVED' },
+                  { type: 'ReviewRequestRemovedEvent', actor: { login: 'github-actions' }, requestedReviewer: { login: 'bowser' } },
+                  { type: 'ReviewRequestRemovedEvent', actor: { login: 'github-actions' }, requestedReviewer: { login: 'peach' } },
+                  { type: 'ReviewRequestRemovedEvent', actor: { login: 'github-actions' }, requestedReviewer: { slug: 'toads' } },
+                  { type: 'ReviewRequestRemovedEvent', actor: { login: 'luigi' }, requestedReviewer: { login: 'yoshi' } },
+                ],
+              },
+            },
+          },
+        });
+      });
+      afterEach(function() {
+        restoreLogin();
+      });
+
+      it('fetches reviewers - keeps removed requests by default', async function() {
+        const actual = await rewired_github.fetch_reviewers();
+        expect(actual).to.deep.equal([ 'bowser', 'peach', 'team:toads', 'yoshi' ]);
+      });
+
+      it('fetches reviewers - forgets requests removed by the action unless approved', async function() {
+        const actual = await rewired_github.fetch_reviewers({ forget_removed_requests: true });
+        expect(actual).to.deep.equal([ 'peach', 'yoshi' ]);
+      });
+    });
+  });
+
+  describe('fetch_approvals()', function() {
+    const stub = sinon.stub();
+    const octokit = {
+      graphql: {
+        paginate: stub,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      stub.reset();
+      restoreModule();
+    });
+
+    it('returns the latest approval of each reviewer with its commit', async function() {
+      stub.returns({
+        repository: {
+          pullRequest: {
+            timelineItems: {
+              nodes: [
+                { type: 'ReviewRequestedEvent', requestedReviewer: { login: 'mario' } },
+                { type: 'PullRequestReview', author: { login: 'mario' }, state: 'APPROVED', commit: { oid: 'sha-1' } },
+                { type: 'PullRequestReview', author: { login: 'luigi' }, state: 'APPROVED', commit: { oid: 'sha-1' } },
+                { type: 'PullRequestReview', author: { login: 'mario' }, state: 'COMMENTED', commit: { oid: 'sha-2' } },
+                { type: 'PullRequestReview', author: { login: 'mario' }, state: 'APPROVED', commit: { oid: 'sha-3' } },
+                { type: 'PullRequestReview', author: { login: 'luigi' }, state: 'DISMISSED', commit: { oid: 'sha-1' } },
+                { type: 'PullRequestReview', author: { login: 'peach' }, state: 'CHANGES_REQUESTED', commit: { oid: 'sha-3' } },
+              ],
+            },
+          },
+        },
+      });
+
+      const actual = await rewired_github.fetch_approvals();
+      expect(actual).to.deep.equal([ { reviewer: 'mario', commit_sha: 'sha-3' } ]);
+    });
+  });
+
+  describe('fetch_changes_since()', function() {
+    const stub = sinon.stub();
+    const octokit = {
+      repos: {
+        compareCommits: stub,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      stub.reset();
+      restoreModule();
+    });
+
+    it('compares the commit with the head of the pull request', async function() {
+      stub.returns({
+        data: {
+          files: [
+            { filename: 'path/to/file.js', status: 'modified', changes: 12, additions: 10, deletions: 2 },
+            { filename: 'docs/README.md', status: 'renamed', changes: 1, additions: 1, deletions: 0, previous_filename: 'README.md' },
+          ],
+        },
+      });
+
+      const actual = await rewired_github.fetch_changes_since('sha-1');
+
+      expect(stub.lastCall.args[0]).to.deep.equal({
+        owner: 'necojackarc',
+        repo: 'auto-request-review',
+        base: 'sha-1',
+        head: '8654739977cb347ee1d2c68ccf2cc2c6007e9a0d',
+      });
+      expect(actual).to.deep.equal([
+        { filename: 'path/to/file.js', status: 'modified', changes: 12 },
+        { filename: 'docs/README.md', status: 'renamed', changes: 1, previous_filename: 'README.md' },
+      ]);
+    });
+  });
+
+  describe('fetch_review_load()', function() {
+    const stub = sinon.stub();
+    const octokit = {
+      pulls: {
+        list: stub,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      stub.reset();
+      restoreModule();
+    });
+
+    it('counts pending review requests of open pull requests', async function() {
+      stub.returns({
+        data: [
+          { requested_reviewers: [ { login: 'mario' }, { login: 'luigi' } ], requested_teams: [ { slug: 'toads' } ] },
+          { requested_reviewers: [ { login: 'mario' } ], requested_teams: [] },
+          { requested_reviewers: [], requested_teams: [ { slug: 'toads' } ] },
+        ],
+      });
+
+      const actual = await rewired_github.fetch_review_load();
+      expect(actual).to.deep.equal({ 'mario': 2, 'luigi': 1, 'team:toads': 2 });
+      expect(stub.lastCall.args[0]).to.include({ owner: 'necojackarc', repo: 'auto-request-review', state: 'open' });
+    });
+
+    it('counts pending review requests through the last page', async function() {
+      const full_page = Array.from({ length: 100 }, () => ({ requested_reviewers: [ { login: 'mario' } ] }));
+      stub.onCall(0).returns({ data: full_page });
+      stub.onCall(1).returns({ data: [ { requested_reviewers: [ { login: 'luigi' } ] } ] });
+
+      const actual = await rewired_github.fetch_review_load();
+      expect(actual).to.deep.equal({ mario: 100, luigi: 1 });
+      expect(stub.callCount).to.equal(2);
+    });
+  });
+
+  describe('fetch_rotation_state() and save_rotation_state()', function() {
+    const octokit = {
+      issues: {
+        listForRepo: sinon.stub(),
+        create: sinon.stub(),
+        update: sinon.stub(),
+      },
+      request: sinon.stub(),
+    };
+    const rotation_state = { sequence: 2, last_assigned: { mario: 1, luigi: 2 } };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+      sinon.stub(core, 'warning');
+    });
+    afterEach(function() {
+      octokit.issues.listForRepo.reset();
+      octokit.issues.create.reset();
+      octokit.issues.update.reset();
+      octokit.request.reset();
+      core.warning.restore();
+      restoreModule();
+    });
+
+    context('with the "issue" storage', function() {
+      it('reads the state from the marker in the labeled issue', async function() {
+        octokit.issues.listForRepo.resolves({
+          data: [
+            { number: 3, body: 'Something else' },
+            { number: 7, body: `Do not edit\n<!-- auto-request-review:rotation-state ${JSON.stringify(rotation_state)} -->` },
+          ],
+        });
+
+        const actual = await rewired_github.fetch_rotation_state({ storage: 'issue' });
+        expect(actual).to.deep.equal(rotation_state);
+        expect(octokit.issues.listForRepo.lastCall.args[0]).to.include({ labels: 'auto-request-review-rotation', state: 'all' });
+      });
+
+      it('starts a new rotation when there is no issue yet', async function() {
+        octokit.issues.listForRepo.resolves({ data: [] });
+
+        const actual = await rewired_github.fetch_rotation_state();
+        expect(actual).to.deep.equal({ sequence: 0, last_assigned: {} });
+      });
+
+      it('starts a new rotation when the state is corrupted', async function() {
+        octokit.issues.listForRepo.resolves({ data: [ { number: 7, body: '<!-- auto-request-review:rotation-state {oops -->' } ] });
+
+        const actual = await rewired_github.fetch_rotation_state({ storage: 'issue' });
+        expect(actual).to.deep.equal({ sequence: 0, last_assigned: {} });
+        expect(core.warning.calledOnce).to.be.true;
+      });
+
+      it('updates the existing issue', async function() {
+        octokit.issues.listForRepo.resolves({ data: [ { number: 7, body: '<!-- auto-request-review:rotation-state {} -->' } ] });
+
+        await rewired_github.save_rotation_state(rotation_state, { storage: 'issue' });
+        expect(octokit.issues.create.notCalled).to.be.true;
+        expect(octokit.issues.update.calledOnce).to.be.true;
+        expect(octokit.issues.update.lastCall.args[0].issue_number).to.equal(7);
+        expect(octokit.issues.update.lastCall.args[0].body).to.include(`<!-- auto-request-review:rotation-state ${JSON.stringify(rotation_state)} -->`);
+      });
+
+      it('creates a closed issue when there is none yet', async function() {
+        octokit.issues.listForRepo.resolves({ data: [] });
+        octokit.issues.create.resolves({ data: { number: 9 } });
+
+        await rewired_github.save_rotation_state(rotation_state, { storage: 'issue' });
+        expect(octokit.issues.create.lastCall.args[0].labels).to.deep.equal([ 'auto-request-review-rotation' ]);
+        expect(octokit.issues.update.lastCall.args[0]).to.include({ issue_number: 9, state: 'closed' });
+      });
+    });
+
+    context('with the "variable" storage', function() {
+      const variable_route = 'GET /repos/{owner}/{repo}/actions/variables/{name}';
+
+      it('reads the state from the repository variable', async function() {
+        octokit.request.withArgs(variable_route).resolves({ data: { value: JSON.stringify(rotation_state) } });
+
+        const actual = await rewired_github.fetch_rotation_state({ storage: 'variable' });
+        expect(actual).to.deep.equal(rotation_state);
+        expect(octokit.request.lastCall.args[1]).to.include({ name: 'AUTO_REQUEST_REVIEW_ROTATION' });
+      });
+
+      it('creates the repository variable when there is none yet', async function() {
+        const not_found = new Error('Not Found');
+        not_found.status = 404;
+        octokit.request.withArgs(variable_route).rejects(not_found);
+
+        await rewired_github.save_rotation_state(rotation_state, { storage: 'variable' });
+        expect(octokit.request.lastCall.args).to.deep.equal([ 'POST /repos/{owner}/{repo}/actions/variables', {
+          owner: 'necojackarc',
+          repo: 'auto-request-review',
+          name: 'AUTO_REQUEST_REVIEW_ROTATION',
+          value: JSON.stringify(rotation_state),
+        } ]);
+      });
+
+      it('updates the existing repository variable', async function() {
+        octokit.request.withArgs(variable_route).resolves({ data: { value: '{}' } });
+
+        await rewired_github.save_rotation_state(rotation_state, { storage: 'variable' });
+        expect(octokit.request.lastCall.args[0]).to.equal('PATCH /repos/{owner}/{repo}/actions/variables/{name}');
+      });
+    });
+
+    context('with the "file" storage', function() {
+      beforeEach(function() {
+        sinon.stub(fs, 'existsSync');
+        sinon.stub(fs, 'readFileSync');
+        sinon.stub(fs, 'writeFileSync');
+      });
+      afterEach(function() {
+        fs.existsSync.restore();
+        fs.readFileSync.restore();
+        fs.writeFileSync.restore();
+      });
+
+      it('is used by default when "use_local" is on', async function() {
+        core.getInput.withArgs('use_local').returns('true');
+        fs.existsSync.returns(true);
+        fs.readFileSync.withArgs('.github/auto_request_review_rotation.json').returns(Buffer.from(JSON.stringify(rotation_state)));
+
+        const actual = await rewired_github.fetch_rotation_state();
+        expect(actual).to.deep.equal(rotation_state);
+        expect(octokit.issues.listForRepo.notCalled).to.be.true;
+      });
+
+      it('starts a new rotation when there is no file yet', async function() {
+        fs.existsSync.returns(false);
+
+        const actual = await rewired_github.fetch_rotation_state({ storage: 'file' });
+        expect(actual).to.deep.equal({ sequence: 0, last_assigned: {} });
+      });
+
+      it('writes the state to the file', async function() {
+        await rewired_github.save_rotation_state(rotation_state, { storage: 'file' });
+        expect(fs.writeFileSync.lastCall.args).to.deep.equal([ '.github/auto_request_review_rotation.json', JSON.stringify(rotation_state) ]);
       });
-      const expected = [ 'bowser', 'peach', 'luigi', 'team:super_marios', 'team:toads', 'mario' ];
-      const actual = await rewired_github.fetch_reviewers();
-      expect(actual).to.deep.equal(expected);
     });
   });
 
@@ -462,6 +1271,343 @@ describe('github', function() {
     });
   });
 
+  describe('fetch_pending_reviewers()', function() {
+    const stub = sinon.stub();
+    const graphql = sinon.stub();
+    graphql.paginate = sinon.stub();
+    const octokit = {
+      pulls: {
+        listRequestedReviewers: stub,
+      },
+      graphql,
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      stub.reset();
+      graphql.reset();
+      graphql.paginate.reset();
+      rewired_github.__set__('action_login_cache', undefined);
+      restoreModule();
+    });
+
+    it('fetches the users and teams whose review is requested', async function() {
+      stub.returns({
+        data: {
+          users: [ { login: 'mario' }, { login: 'princess-peach' } ],
+          teams: [ { slug: 'koopa-troop' } ],
+        },
+      });
+
+      const actual = await rewired_github.fetch_pending_reviewers();
+
+      expect(stub.lastCall.args[0]).to.deep.equal({
+        owner: 'necojackarc',
+        repo: 'auto-request-review',
+        pull_number: 18,
+      });
+      expect(actual).to.deep.equal([ 'mario', 'princess-peach', 'team:koopa-troop' ]);
+    });
+
+    it('fetches the reviewers whose latest request was made by the user of the token', async function() {
+      stub.returns({
+        data: {
+          users: [ { login: 'mario' }, { login: 'wario' }, { login: 'princess-peach' } ],
+          teams: [ { slug: 'koopa-troop' } ],
+        },
+      });
+      graphql.resolves({ viewer: { login: 'auto-reviewer-bot' } });
+      graphql.paginate.resolves({
+        repository: {
+          pullRequest: {
+            timelineItems: {
+              nodes: [
+                { type: 'ReviewRequestedEvent', actor: { login: 'auto-reviewer-bot' }, requestedReviewer: { login: 'mario' } },
+                { type: 'ReviewRequestedEvent', actor: { login: 'auto-reviewer-bot' }, requestedReviewer: { slug: 'koopa-troop' } },
+                { type: 'ReviewRequestedEvent', actor: { login: 'luigi' }, requestedReviewer: { login: 'wario' } },
+                { type: 'ReviewRequestedEvent', actor: { login: 'auto-reviewer-bot' }, requestedReviewer: { login: 'princess-peach' } },
+                { type: 'ReviewRequestedEvent', actor: { login: 'luigi' }, requestedReviewer: { login: 'princess-peach' } },
+              ],
+            },
+          },
+        },
+      });
+
+      const actual = await rewired_github.fetch_pending_reviewers({ requested_by_action: true });
+      expect(actual).to.deep.equal([ 'mario', 'team:koopa-troop' ]);
+    });
+
+    it('takes the requests made by the "github-actions" bot when the token cannot look itself up', async function() {
+      stub.returns({
+        data: {
+          users: [ { login: 'mario' }, { login: 'wario' } ],
+        },
+      });
+      graphql.rejects(new Error('Resource not accessible by integration'));
+      graphql.paginate.resolves({
+        repository: {
+          pullRequest: {
+            timelineItems: {
+              nodes: [
+                { type: 'ReviewRequestedEvent', actor: { login: 'github-actions' }, requestedReviewer: { login: 'mario' } },
+                { type: 'ReviewRequestedEvent', actor: { login: 'luigi' }, requestedReviewer: { login: 'wario' } },
+              ],
+            },
+          },
+        },
+      });
+
+      const actual = await rewired_github.fetch_pending_reviewers({ requested_by_action: true });
+      expect(actual).to.deep.equal([ 'mario' ]);
+    });
+  });
+
+  describe('remove_reviewers()', function() {
+    const spy = sinon.spy();
+    const octokit = {
+      pulls: {
+        removeRequestedReviewers: spy,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      restoreModule();
+    });
+
+    it('removes reviewers', async function() {
+      await rewired_github.remove_reviewers([ 'mario', 'team:koopa-troop' ]);
+
+      expect(spy.calledOnce).to.be.true;
+      expect(spy.lastCall.args[0]).to.deep.equal({
+        owner: 'necojackarc',
+        pull_number: 18,
+        repo: 'auto-request-review',
+        reviewers: [ 'mario' ],
+        team_reviewers: [ 'koopa-troop' ],
+      });
+    });
+  });
+
+  describe('update_labels()', function() {
+    const add_spy = sinon.spy();
+    const remove_stub = sinon.stub();
+    const octokit = {
+      issues: {
+        addLabels: add_spy,
+        removeLabel: remove_stub,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      add_spy.resetHistory();
+      remove_stub.reset();
+      restoreModule();
+    });
+
+    it('adds and removes labels', async function() {
+      await rewired_github.update_labels({ add: [ 'size/M' ], remove: [ 'size/S', 'size/L' ] });
+
+      expect(add_spy.calledOnce).to.be.true;
+      expect(add_spy.lastCall.args[0]).to.deep.equal({
+        owner: 'necojackarc',
+        repo: 'auto-request-review',
+        issue_number: 18,
+        labels: [ 'size/M' ],
+      });
+      expect(remove_stub.args.map(([ { name } ]) => name)).to.deep.equal([ 'size/S', 'size/L' ]);
+    });
+
+    it('ignores labels already gone', async function() {
+      remove_stub.rejects(Object.assign(new Error('Label does not exist'), { status: 404 }));
+
+      await rewired_github.update_labels({ remove: [ 'size/S' ] });
+
+      expect(add_spy.called).to.be.false;
+      expect(remove_stub.calledOnce).to.be.true;
+    });
+  });
+
+  describe('fetch_open_pull_requests()', function() {
+    const stub = sinon.stub();
+    const octokit = {
+      pulls: {
+        list: stub,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      stub.reset();
+      restoreModule();
+    });
+
+    it('fetches every page of open pull requests', async function() {
+      const first_page = Array.from({ length: 100 }, (value, index) => ({ number: index + 1 }));
+      stub.onFirstCall().returns({ data: first_page });
+      stub.onSecondCall().returns({ data: [ { number: 101 } ] });
+
+      const actual = await rewired_github.fetch_open_pull_requests();
+
+      expect(actual).to.have.lengthOf(101);
+      expect(stub.firstCall.args[0]).to.include({ state: 'open', page: 1, per_page: 100 });
+      expect(stub.secondCall.args[0]).to.include({ page: 2 });
+    });
+  });
+
+  describe('fetch_review_requests()', function() {
+    const list_stub = sinon.stub();
+    const paginate_stub = sinon.stub();
+    const octokit = {
+      pulls: {
+        listRequestedReviewers: list_stub,
+      },
+      graphql: {
+        paginate: paginate_stub,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      list_stub.reset();
+      paginate_stub.reset();
+      restoreModule();
+    });
+
+    it('returns the pending review requests with when they were last made', async function() {
+      list_stub.returns({ data: { users: [ { login: 'mario' } ], teams: [ { slug: 'koopa-troop' } ] } });
+      paginate_stub.returns({
+        repository: {
+          pullRequest: {
+            timelineItems: {
+              nodes: [
+                { type: 'ReviewRequestedEvent', createdAt: '2020-08-01T00:00:00Z', requestedReviewer: { login: 'mario' } },
+                { type: 'ReviewRequestedEvent', createdAt: '2020-08-02T00:00:00Z', requestedReviewer: { login: 'luigi' } },
+                { type: 'ReviewRequestedEvent', createdAt: '2020-08-03T00:00:00Z', requestedReviewer: { slug: 'koopa-troop' } },
+                { type: 'ReviewRequestedEvent', createdAt: '2020-08-04T00:00:00Z', requestedReviewer: { login: 'mario' } },
+              ],
+            },
+          },
+        },
+      });
+
+      const actual = await rewired_github.fetch_review_requests();
+      expect(actual).to.deep.equal([
+        { reviewer: 'mario', requested_at: '2020-08-04T00:00:00Z' },
+        { reviewer: 'team:koopa-troop', requested_at: '2020-08-03T00:00:00Z' },
+      ]);
+    });
+  });
+
+  describe('fetch_escalated_reviewers()', function() {
+    const stub = sinon.stub();
+    const octokit = {
+      issues: {
+        listComments: stub,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      stub.reset();
+      restoreModule();
+    });
+
+    it('collects the reviewers recorded in the escalation comments', async function() {
+      stub.returns({
+        data: [
+          { body: '<!-- auto-request-review:escalated ["mario","team:koopa-troop"] -->\nPing' },
+          { body: 'LGTM' },
+          { body: null },
+          { body: '<!-- auto-request-review:escalated ["mario","luigi"] -->\nPing' },
+        ],
+      });
+
+      const actual = await rewired_github.fetch_escalated_reviewers();
+      expect(actual).to.deep.equal([ 'mario', 'team:koopa-troop', 'luigi' ]);
+      expect(stub.lastCall.args[0]).to.deep.equal({ owner: 'necojackarc', repo: 'auto-request-review', issue_number: 18, page: 1, per_page: 100 });
+    });
+
+    it('reads the comments through the last page', async function() {
+      const comments = Array.from({ length: 100 }, () => ({ body: 'Ping' }));
+      stub.onCall(0).returns({ data: comments });
+      stub.onCall(1).returns({ data: [ { body: '<!-- auto-request-review:escalated ["mario"] -->\nPing' } ] });
+
+      const actual = await rewired_github.fetch_escalated_reviewers();
+      expect(actual).to.deep.equal([ 'mario' ]);
+      expect(stub.calledTwice).to.be.true;
+      expect(stub.lastCall.args[0]).to.include({ page: 2 });
+    });
+
+    it('ignores malformed markers', async function() {
+      stub.returns({
+        data: [
+          { body: '<!-- auto-request-review:escalated x -->' },
+          { body: '<!-- auto-request-review:escalated {"mario":true} -->' },
+          { body: '<!-- auto-request-review:escalated ["luigi",1] -->' },
+        ],
+      });
+
+      const actual = await rewired_github.fetch_escalated_reviewers();
+      expect(actual).to.deep.equal([ 'luigi' ]);
+    });
+  });
+
+  describe('post_escalation()', function() {
+    const spy = sinon.spy();
+    const octokit = {
+      issues: {
+        createComment: spy,
+      },
+    };
+
+    let restoreModule;
+    beforeEach(function() {
+      restoreModule = rewired_github.__set__('octokit_cache', octokit);
+    });
+    afterEach(function() {
+      spy.resetHistory();
+      restoreModule();
+    });
+
+    it('mentions the overdue and the added reviewers', async function() {
+      await rewired_github.post_escalation({ overdue_reviewers: [ 'mario', 'team:koopa-troop' ], added_reviewers: [ 'luigi' ], after_hours: 48 });
+
+      const { body, issue_number } = spy.lastCall.args[0];
+      expect(issue_number).to.equal(18);
+      expect(body).to.equal(
+        '<!-- auto-request-review:escalated ["mario","team:koopa-troop"] -->\n'
+        + 'The review requested from @mario, @necojackarc/koopa-troop has been pending for more than 48 hours. Also requested review from @luigi.'
+      );
+    });
+
+    it('does not mention anyone with "mention" false', async function() {
+      await rewired_github.post_escalation({ overdue_reviewers: [ 'mario' ], added_reviewers: [], after_hours: 24, mention: false });
+
+      expect(spy.lastCall.args[0].body).to.include('The review requested from `mario` has been pending for more than 24 hours.');
+      expect(spy.lastCall.args[0].body).to.not.include('@');
+    });
+  });
+
   describe('get_comment_footer()', function() {
     it('uses pull request context', function() {
       const footer = rewired_github.get_comment_footer();
@@ -754,5 +1900,34 @@ describe('github', function() {
       expect(createStub.callCount).to.be.equal(0);
       expect(updateStub.callCount).to.be.equal(0);
     });
+
+    it('Explanation, no missing reviewers and no comment', async function() {
+      const explanation = '<details>Why these reviewers?</details>';
+
+      await rewired_github.post_notification([], undefined, explanation);
+
+      expect(createStub.callCount).to.be.equal(1);
+      expect(createStub.lastCall.args[0].body).to.equal(`${explanation}\n\n${rewired_github.get_comment_footer()}`);
+      expect(updateStub.callCount).to.be.equal(0);
+    });
+
+    it('Explanation with missing reviewers, updates the existing comment', async function() {
+      const reviewers = [ 'peach', 'team:peach-alliance' ];
+      const explanation = '<details>Why these reviewers?</details>';
+      const comment = {
+        id: 1,
+        body: rewired_github.get_missing_access_message(reviewers),
+      };
+
+      await rewired_github.post_notification(reviewers, comment, explanation);
+
+      expect(createStub.callCount).to.be.equal(0);
+      expect(updateStub.callCount).to.be.equal(1);
+
+      const { body } = updateStub.lastCall.args[0];
+      expect(body).to.include('- peach\n');
+      expect(body).to.include(explanation);
+      expect(body.endsWith(rewired_github.get_comment_footer())).to.be.true;
+    });
   });
 });
@@ -14,28 +14,72 @@ describe('index', function() {
       github.clear_cache();
 
       sinon.stub(github, 'fetch_config');
+      sinon.stub(github, 'get_event_name');
+      sinon.stub(github, 'fetch_open_pull_requests');
+      sinon.stub(github, 'use_pull_request');
+      sinon.stub(github, 'fetch_review_requests');
+      sinon.stub(github, 'fetch_escalated_reviewers');
+      sinon.stub(github, 'post_escalation');
       sinon.stub(github, 'get_pull_request');
+      sinon.stub(github, 'fetch_codeowners');
+      sinon.stub(github, 'fetch_gitattributes');
+      sinon.stub(github, 'fetch_availability_file');
+      sinon.stub(github, 'fetch_busy_reviewers');
+      sinon.stub(github, 'fetch_team_members');
+      sinon.stub(github, 'fetch_author_teams');
       sinon.stub(github, 'fetch_changed_files');
       sinon.stub(github, 'fetch_reviewers');
+      sinon.stub(github, 'fetch_approvals');
+      sinon.stub(github, 'fetch_changes_since');
+      sinon.stub(github, 'fetch_file_history');
+      sinon.stub(github, 'fetch_review_load');
+      sinon.stub(github, 'fetch_rotation_state');
+      sinon.stub(github, 'save_rotation_state');
       sinon.stub(github, 'filter_only_collaborators');
       sinon.stub(github, 'assign_reviewers');
+      sinon.stub(github, 'fetch_pending_reviewers');
+      sinon.stub(github, 'remove_reviewers');
+      sinon.stub(github, 'update_labels');
       sinon.stub(github, 'get_existing_comment');
       sinon.stub(github, 'post_notification');
 
       sinon.stub(core, 'getInput');
+      sinon.stub(core, 'setOutput');
     });
 
     afterEach(function() {
       github.fetch_config.restore();
+      github.get_event_name.restore();
+      github.fetch_open_pull_requests.restore();
+      github.use_pull_request.restore();
+      github.fetch_review_requests.restore();
+      github.fetch_escalated_reviewers.restore();
+      github.post_escalation.restore();
       github.get_pull_request.restore();
+      github.fetch_codeowners.restore();
+      github.fetch_gitattributes.restore();
+      github.fetch_availability_file.restore();
+      github.fetch_busy_reviewers.restore();
+      github.fetch_team_members.restore();
+      github.fetch_author_teams.restore();
       github.fetch_changed_files.restore();
       github.fetch_reviewers.restore();
+      github.fetch_approvals.restore();
+      github.fetch_changes_since.restore();
+      github.fetch_file_history.restore();
+      github.fetch_review_load.restore();
+      github.fetch_rotation_state.restore();
+      github.save_rotation_state.restore();
       github.filter_only_collaborators.restore();
       github.assign_reviewers.restore();
+      github.fetch_pending_reviewers.restore();
+      github.remove_reviewers.restore();
+      github.update_labels.restore();
       github.get_existing_comment.restore();
       github.post_notification.restore();
 
       core.getInput.restore();
+      core.setOutput.restore();
     });
 
     it('requests review based on files changed', async function() {
@@ -60,7 +104,7 @@ describe('index', function() {
       };
       github.get_pull_request.returns(pull_request);
 
-      const changed_files = [ 'path/to/file.js' ];
+      const changed_files = [ { filename: 'path/to/file.js' } ];
       github.fetch_changed_files.returns(changed_files);
 
       const current_reviewers = [];
@@ -81,6 +125,102 @@ describe('index', function() {
       expect(github.post_notification.notCalled).to.be.true;
     });
 
+    it('sets the outputs describing the requested reviewers and the matched rules', async function() {
+      const config = {
+        reviewers: {
+          per_author: {
+            luigi: [ 'team:koopa-troop' ],
+          },
+        },
+        files: {
+          '**/*.js': [ 'mario', 'princess-peach' ],
+          '**/*.rb': [ 'wario', 'waluigi' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.returns([ [ 'mario', 'team:koopa-troop' ], [ 'princess-peach' ] ]);
+
+      await run();
+
+      const outputs = Object.fromEntries(core.setOutput.args);
+      expect(JSON.parse(outputs.requested_reviewers)).to.deep.equal([ 'mario' ]);
+      expect(JSON.parse(outputs.requested_teams)).to.deep.equal([ 'koopa-troop' ]);
+      expect(JSON.parse(outputs.missing_access)).to.deep.equal([ 'princess-peach' ]);
+      expect(JSON.parse(outputs.matched_rules)).to.deep.equal([
+        { source: 'files', pattern: '**/*.js', files: [ 'path/to/file.js' ] },
+        { source: 'per_author', author: 'luigi' },
+      ]);
+      expect(outputs.skipped_reason).to.equal('');
+    });
+
+    it('tells no new reviewers were requested in the outputs', async function() {
+      const config = {
+        files: {
+          '**/*.js': [ 'mario' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([ 'mario' ]);
+      github.filter_only_collaborators.returns([ [], [] ]);
+
+      await run();
+
+      expect(github.assign_reviewers.notCalled).to.be.true;
+      expect(core.setOutput.calledWith('skipped_reason', 'no_new_reviewers')).to.be.true;
+      expect(core.setOutput.calledWith('requested_reviewers', '[]')).to.be.true;
+    });
+
+    it('requests review based on the CODEOWNERS file if the "codeowners" option is set', async function() {
+      const config = {
+        files: {
+          '**/*.rb': [ 'wario', 'waluigi' ],
+        },
+        options: {
+          codeowners: '.github/OWNERS',
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_codeowners.returns([ { pattern: '*.js', globs: [ '**/*.js' ], reviewers: [ 'mario', 'team:toads' ] } ]);
+
+      const changed_files = [ { filename: 'path/to/file.js' }, { filename: 'path/to/file.rb' } ];
+      github.fetch_changed_files.returns(changed_files);
+      github.fetch_reviewers.returns([]);
+
+      const collaborators = [ 'mario', 'team:toads', 'wario', 'waluigi' ];
+      github.filter_only_collaborators.returns([ collaborators, [] ]);
+
+      await run();
+
+      expect(github.fetch_codeowners.calledOnce).to.be.true;
+      expect(github.fetch_codeowners.lastCall.args[0]).to.deep.equal({ path: '.github/OWNERS' });
+      expect(github.filter_only_collaborators.lastCall.args[0]).to.have.members(collaborators);
+      expect(github.assign_reviewers.lastCall.args[0]).to.have.members(collaborators);
+    });
+
     it('skips single alias if already a reviewer', async function() {
       const config = {
         reviewers: {
@@ -103,7 +243,7 @@ describe('index', function() {
       };
       github.get_pull_request.returns(pull_request);
 
-      const changed_files = [ 'path/to/file.js' ];
+      const changed_files = [ { filename: 'path/to/file.js' } ];
       github.fetch_changed_files.returns(changed_files);
 
       const current_reviewers = [ 'princess-peach' ];
@@ -146,7 +286,7 @@ describe('index', function() {
       };
       github.get_pull_request.returns(pull_request);
 
-      const changed_files = [ 'path/to/file.js', 'path/to/file.rb' ];
+      const changed_files = [ { filename: 'path/to/file.js' }, { filename: 'path/to/file.rb' } ];
       github.fetch_changed_files.returns(changed_files);
 
       const current_reviewers = [ 'team:bowser-and-co' ];
@@ -189,7 +329,7 @@ describe('index', function() {
       };
       github.get_pull_request.returns(pull_request);
 
-      const changed_files = [ 'path/to/file.js' ];
+      const changed_files = [ { filename: 'path/to/file.js' } ];
       github.fetch_changed_files.returns(changed_files);
 
       const current_reviewers = [ 'princess-peach', 'mario' ];
@@ -231,7 +371,7 @@ describe('index', function() {
       };
       github.get_pull_request.returns(pull_request);
 
-      const changed_files = [ 'path/to/file.js' ];
+      const changed_files = [ { filename: 'path/to/file.js' } ];
       github.fetch_changed_files.returns(changed_files);
 
       const current_reviewers = [ ];
@@ -280,7 +420,7 @@ describe('index', function() {
       };
       github.get_pull_request.returns(pull_request);
 
-      const changed_files = [ 'path/to/file.js', 'path/to/file.rb' ];
+      const changed_files = [ { filename: 'path/to/file.js' }, { filename: 'path/to/file.rb' } ];
       github.fetch_changed_files.returns(changed_files);
 
       const current_reviewers = [ ];
@@ -329,7 +469,7 @@ describe('index', function() {
       };
       github.get_pull_request.returns(pull_request);
 
-      const changed_files = [ 'path/to/file.js', 'path/to/file.rb' ];
+      const changed_files = [ { filename: 'path/to/file.js' }, { filename: 'path/to/file.rb' } ];
       github.fetch_changed_files.returns(changed_files);
 
       const current_reviewers = [ 'waluigi', 'team:peach-alliance' ];
@@ -425,6 +565,7 @@ describe('index', function() {
       expect(github.assign_reviewers.notCalled).to.be.true;
       expect(github.get_existing_comment.notCalled).to.be.true;
       expect(github.post_notification.notCalled).to.be.true;
+      expect(core.setOutput.calledWith('skipped_reason', 'ignored')).to.be.true;
     });
 
     it('does not request review if a pull request title contains any of "ignored_keywords"', async function() {
@@ -453,6 +594,98 @@ describe('index', function() {
       expect(github.assign_reviewers.notCalled).to.be.true;
       expect(github.get_existing_comment.notCalled).to.be.true;
       expect(github.post_notification.notCalled).to.be.true;
+      expect(core.setOutput.calledWith('skipped_reason', 'ignored')).to.be.true;
+    });
+
+    it('terminates if a "conditions" entry with "skip" matches', async function() {
+      const config = {
+        reviewers: {
+          defaults: [ 'dr-mario' ],
+        },
+        conditions: [ {
+          author_association: '^FIRST_TIME_CONTRIBUTOR$',
+          skip: true,
+        } ],
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+        author_association: 'FIRST_TIME_CONTRIBUTOR',
+      };
+      github.get_pull_request.returns(pull_request);
+
+      await run();
+
+      expect(github.fetch_changed_files.notCalled).to.be.true;
+      expect(github.assign_reviewers.notCalled).to.be.true;
+      expect(core.setOutput.calledWith('skipped_reason', 'ignored')).to.be.true;
+    });
+
+    it('requests review from the reviewers of the matched "conditions" rules', async function() {
+      const config = {
+        reviewers: {
+          defaults: [ 'dr-mario' ],
+        },
+        conditions: [ {
+          head_branch: '^hotfix/',
+          reviewers: [ 'toad' ],
+        } ],
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+        head_ref: 'hotfix/crash',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+      await run();
+
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'toad' ]);
+    });
+
+    it('sets the outputs and terminates if no configuration file is found', async function() {
+      const error = new Error('Not Found');
+      error.status = 404;
+      github.fetch_config.rejects(error);
+
+      await run();
+
+      expect(github.get_pull_request.notCalled).to.be.true;
+      expect(core.setOutput.calledWith('skipped_reason', 'config_not_found')).to.be.true;
+      expect(core.setOutput.calledWith('requested_reviewers', '[]')).to.be.true;
+      expect(core.setOutput.calledWith('matched_rules', '[]')).to.be.true;
+    });
+
+    it('fails with an annotation per problem if the configuration file is invalid', async function() {
+      const error = new Error('Invalid configuration file');
+      error.problems = [
+        { file: 'reviewers.yml', path: 'reviewers.per_autor', line: 2, column: 3, message: 'is not a known key' },
+        { file: 'reviewers.yml', path: 'options.number_of_reviewers', line: 5, column: 24, message: 'must be an integer' },
+      ];
+      github.fetch_config.rejects(error);
+      sinon.stub(core, 'error');
+
+      try {
+        await run().then(() => expect.fail('run() should have failed'), (actual) => expect(actual).to.equal(error));
+
+        expect(core.error.calledTwice).to.be.true;
+        expect(core.error.firstCall.args[0]).to.include('"reviewers.per_autor" is not a known key');
+        expect(core.error.firstCall.args[1]).to.include({ file: 'reviewers.yml', startLine: 2, startColumn: 3 });
+        expect(github.get_pull_request.notCalled).to.be.true;
+        expect(github.assign_reviewers.notCalled).to.be.true;
+        expect(core.setOutput.calledWith('skipped_reason', 'invalid_config')).to.be.true;
+      } finally {
+        core.error.restore();
+      }
     });
 
     it('does not request review if no reviewers are matched and default reviweres are not set', async function() {
@@ -476,7 +709,7 @@ describe('index', function() {
       };
       github.get_pull_request.returns(pull_request);
 
-      const changed_files = [ 'path/to/file.py' ];
+      const changed_files = [ { filename: 'path/to/file.py' } ];
       github.fetch_changed_files.returns(changed_files);
 
       const current_reviewers = [];
@@ -491,6 +724,7 @@ describe('index', function() {
       expect(github.assign_reviewers.notCalled).to.be.true;
       expect(github.get_existing_comment.notCalled).to.be.true;
       expect(github.post_notification.notCalled).to.be.true;
+      expect(core.setOutput.calledWith('skipped_reason', 'no_reviewers_matched')).to.be.true;
     });
 
     it('requests review to the default reviewers if no reviewers are matched', async function() {
@@ -515,7 +749,7 @@ describe('index', function() {
       };
       github.get_pull_request.returns(pull_request);
 
-      const changed_files = [ 'path/to/file.py' ];
+      const changed_files = [ { filename: 'path/to/file.py' } ];
       github.fetch_changed_files.returns(changed_files);
 
       const current_reviewers = [];
@@ -665,19 +899,16 @@ describe('index', function() {
       expect(github.post_notification.notCalled).to.be.true;
     });
 
-    it('Validate Mode - Adds To Non Collaborators', async function() {
-      core.getInput.withArgs('validate_all').returns('true');
-
+    it('picks the least loaded reviewers with the "least_loaded" selection strategy', async function() {
       const config = {
         reviewers: {
-          defaults: [ 'dr-mario' ],
-          groups: {
-            'mario-brothers': [ 'mario', 'luigi' ],
+          per_author: {
+            luigi: [ 'dr-mario', 'mario', 'waluigi' ],
           },
         },
-        files: {
-          '**/*.js': [ 'mario-brothers', 'team:peach-alliance' ],
-          '**/*.rb': [ 'wario', 'waluigi', 'team:bowser-and-co' ],
+        options: {
+          number_of_reviewers: 2,
+          selection_strategy: 'least_loaded',
         },
       };
       github.fetch_config.returns(config);
@@ -688,57 +919,58 @@ describe('index', function() {
         author: 'luigi',
       };
       github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([]);
+      github.fetch_reviewers.returns([]);
+      github.fetch_review_load.returns({ 'dr-mario': 4, 'mario': 2 });
 
-      const changed_files = [ 'path/to/file.rb' ];
-      github.fetch_changed_files.returns(changed_files);
+      const collaborators = [ 'dr-mario', 'mario', 'waluigi' ];
+      github.filter_only_collaborators.returns([ collaborators, [] ]);
 
-      const current_reviewers = [ ];
-      github.fetch_reviewers.returns(current_reviewers);
+      await run();
 
-      // Initial filter from the file.rb file change
-      const first_filter_args = [ 'wario', 'waluigi', 'team:bowser-and-co' ];
-      const collaborators = [ 'waluigi', 'team:bowser-and-co' ];
-      const missing_access = [ 'wario' ];
-      github.filter_only_collaborators.withArgs(first_filter_args).returns([ collaborators, missing_access ]);
+      expect(github.fetch_review_load.calledOnce).to.be.true;
+      expect(github.assign_reviewers.calledOnce).to.be.true;
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'waluigi', 'mario' ]);
+    });
 
-      // Second filter after validate all has been called
-      const second_filter_args = [ 'dr-mario', 'mario', 'luigi', 'team:peach-alliance' ];
-      const collaborators_second = [ 'dr-mario', 'luigi', 'team:peach-alliance' ];
-      const missing_access_second = [ 'mario' ];
-      github.filter_only_collaborators.withArgs(second_filter_args).returns([ collaborators_second, missing_access_second ]);
+    it('leaves out the files matching "ignore_files" and generated in .gitattributes', async function() {
+      const config = {
+        files: {
+          '**': [ 'mario' ],
+          '**/*.js': [ 'princess-peach' ],
+        },
+        options: {
+          ignore_files: [ '**/package-lock.json' ],
+          ignore_generated_files: true,
+        },
+      };
+      github.fetch_config.returns(config);
 
-      const comment = { id: 123, body: 'test comment' };
-      github.get_existing_comment.returns(comment);
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_gitattributes.returns([ { pattern: 'dist/**', glob: 'dist/**', attributes: { 'linguist-generated': true } } ]);
+      github.fetch_changed_files.returns([ { filename: 'package-lock.json' }, { filename: 'dist/index.js' }, { filename: 'README.md' } ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
 
       await run();
 
-      expect(github.assign_reviewers.calledOnce).to.be.true;
-      expect(github.assign_reviewers.lastCall.args[0]).to.have.members(collaborators);
-
-      expect(core.getInput.withArgs('validate_all').calledOnce).to.be.true;
-      expect(github.filter_only_collaborators.calledTwice).to.be.true;
-      expect(github.filter_only_collaborators.firstCall.args[0]).to.have.members(first_filter_args);
-      expect(github.filter_only_collaborators.secondCall.args[0]).to.have.members(second_filter_args);
-
-      expect(github.get_existing_comment.calledOnce).to.be.true;
-      expect(github.post_notification.calledOnce).to.be.true;
-      expect(github.post_notification.lastCall.args[0]).to.have.members([ ...missing_access, ...missing_access_second ]);
-      expect(github.post_notification.lastCall.args[1]).to.deep.equal(comment);
+      expect(github.fetch_gitattributes.calledOnce).to.be.true;
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'mario' ]);
     });
 
-    it('Validate Mode - Posts without original missing access', async function() {
-      core.getInput.withArgs('validate_all').returns('true');
-
+    it('terminates if only ignored files are changed with "skip_if_only_ignored_files"', async function() {
       const config = {
-        reviewers: {
-          defaults: [ 'dr-mario' ],
-          groups: {
-            'mario-brothers': [ 'mario', 'luigi' ],
-          },
-        },
         files: {
-          '**/*.js': [ 'mario-brothers', 'team:peach-alliance' ],
-          '**/*.rb': [ 'wario', 'waluigi', 'team:bowser-and-co' ],
+          '**': [ 'mario' ],
+        },
+        options: {
+          ignore_files: [ '**/package-lock.json' ],
+          skip_if_only_ignored_files: true,
         },
       };
       github.fetch_config.returns(config);
@@ -749,57 +981,63 @@ describe('index', function() {
         author: 'luigi',
       };
       github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'package-lock.json' }, { filename: 'web/package-lock.json' } ]);
 
-      const changed_files = [ 'path/to/file.rb' ];
-      github.fetch_changed_files.returns(changed_files);
-
-      const current_reviewers = [ ];
-      github.fetch_reviewers.returns(current_reviewers);
+      await run();
 
-      // Initial filter from the file.rb file change
-      const first_filter_args = [ 'wario', 'waluigi', 'team:bowser-and-co' ];
-      const collaborators = [ 'wario', 'waluigi', 'team:bowser-and-co' ];
-      const missing_access = [ ];
-      github.filter_only_collaborators.withArgs(first_filter_args).returns([ collaborators, missing_access ]);
+      expect(github.fetch_gitattributes.notCalled).to.be.true;
+      expect(github.fetch_reviewers.notCalled).to.be.true;
+      expect(github.assign_reviewers.notCalled).to.be.true;
+      expect(core.setOutput.calledWith('skipped_reason', 'only_ignored_files')).to.be.true;
+    });
 
-      // Second filter after validate all has been called
-      const second_filter_args = [ 'dr-mario', 'mario', 'luigi', 'team:peach-alliance' ];
-      const collaborators_second = [ 'dr-mario', 'luigi', 'team:peach-alliance' ];
-      const missing_access_second = [ 'mario' ];
-      github.filter_only_collaborators.withArgs(second_filter_args).returns([ collaborators_second, missing_access_second ]);
+    it('matches "files" rules against the status of the changed files', async function() {
+      const config = {
+        files: {
+          'migrations/**': {
+            reviewers: [ 'dba' ],
+            status: 'added',
+          },
+          'api/public/**': {
+            reviewers: [ 'api-owners' ],
+            status: 'removed',
+          },
+        },
+      };
+      github.fetch_config.returns(config);
 
-      const comment = { id: 123, body: 'test comment' };
-      github.get_existing_comment.returns(comment);
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([
+        { filename: 'migrations/002_users.sql', status: 'added', additions: 10, deletions: 0 },
+        { filename: 'api/public/users.js', status: 'modified', additions: 1, deletions: 1 },
+      ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
 
       await run();
 
-      expect(github.assign_reviewers.calledOnce).to.be.true;
-      expect(github.assign_reviewers.lastCall.args[0]).to.have.members(collaborators);
-
-      expect(core.getInput.withArgs('validate_all').calledOnce).to.be.true;
-      expect(github.filter_only_collaborators.calledTwice).to.be.true;
-      expect(github.filter_only_collaborators.firstCall.args[0]).to.have.members(first_filter_args);
-      expect(github.filter_only_collaborators.secondCall.args[0]).to.have.members(second_filter_args);
-
-      expect(github.get_existing_comment.calledOnce).to.be.true;
-      expect(github.post_notification.calledOnce).to.be.true;
-      expect(github.post_notification.lastCall.args[0]).to.have.members(missing_access_second);
-      expect(github.post_notification.lastCall.args[1]).to.deep.equal(comment);
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'dba' ]);
     });
 
-    it('Validate Mode - Good State - No Comment', async function() {
-      core.getInput.withArgs('validate_all').returns('true');
-
+    it('sets the number of reviewers and the size label with "size_tiers"', async function() {
       const config = {
         reviewers: {
-          defaults: [ 'dr-mario' ],
-          groups: {
-            'mario-brothers': [ 'mario', 'luigi' ],
+          per_author: {
+            luigi: [ 'dr-mario', 'mario', 'waluigi' ],
           },
         },
-        files: {
-          '**/*.js': [ 'mario-brothers', 'team:peach-alliance' ],
-          '**/*.rb': [ 'wario', 'waluigi', 'team:bowser-and-co' ],
+        options: {
+          number_of_reviewers: 1,
+          size_tiers: [
+            { max_lines: 50, reviewers: 1, label: 'size/S' },
+            { max_lines: 500, reviewers: 2, label: 'size/M' },
+            { reviewers: 3, label: 'size/L' },
+          ],
         },
       };
       github.fetch_config.returns(config);
@@ -808,26 +1046,1016 @@ describe('index', function() {
         title: 'Nice Pull Request',
         is_draft: false,
         author: 'luigi',
+        labels: [ 'size/S', 'bug' ],
       };
       github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([
+        { filename: 'path/to/file.js', status: 'modified', additions: 40, deletions: 20 },
+        { filename: 'path/to/file.rb', status: 'added', additions: 100, deletions: 0 },
+      ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
 
-      const changed_files = [ 'path/to/file.rb' ];
-      github.fetch_changed_files.returns(changed_files);
-
-      const current_reviewers = [ ];
-      github.fetch_reviewers.returns(current_reviewers);
+      await run();
 
-      // Initial filter from the file.rb file change
-      const first_filter_args = [ 'wario', 'waluigi', 'team:bowser-and-co' ];
-      const collaborators = [ 'wario', 'waluigi', 'team:bowser-and-co' ];
-      const missing_access = [ ];
-      github.filter_only_collaborators.withArgs(first_filter_args).returns([ collaborators, missing_access ]);
+      expect(github.update_labels.calledOnce).to.be.true;
+      expect(github.update_labels.lastCall.args[0]).to.deep.equal({ add: [ 'size/M' ], remove: [ 'size/S' ] });
+      expect(github.assign_reviewers.calledOnce).to.be.true;
+      expect(github.assign_reviewers.lastCall.args[0]).to.have.lengthOf(2);
+    });
 
-      // Second filter after validate all has been called
-      const second_filter_args = [ 'dr-mario', 'mario', 'luigi', 'team:peach-alliance' ];
-      const collaborators_second = [ 'dr-mario', 'mario', 'luigi', 'team:peach-alliance' ];
-      const missing_access_second = [ ];
-      github.filter_only_collaborators.withArgs(second_filter_args).returns([ collaborators_second, missing_access_second ]);
+    it('does not touch the labels when the size label is already set', async function() {
+      const config = {
+        files: {
+          '**': [ 'mario' ],
+        },
+        options: {
+          size_tiers: [
+            { max_lines: 50, label: 'size/S' },
+            { label: 'size/L' },
+          ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+        labels: [ 'size/S' ],
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js', status: 'modified', additions: 1, deletions: 1 } ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+      await run();
+
+      expect(github.update_labels.notCalled).to.be.true;
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'mario' ]);
+    });
+
+    it('uses the "branches" sections matching the base branch', async function() {
+      const config = {
+        files: {
+          '**': [ 'mario' ],
+        },
+        branches: {
+          'release/**': {
+            files: {
+              '**': [ 'bowser' ],
+            },
+          },
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+        base_ref: 'release/1.0',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+      await run();
+
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'bowser' ]);
+    });
+
+    it('requests review from the reviewers of the matched "labels" rules', async function() {
+      const config = {
+        reviewers: {
+          defaults: [ 'dr-mario' ],
+          groups: {
+            'security-team': [ 'bowser', 'kamek' ],
+          },
+        },
+        labels: {
+          'security': [ 'security-team' ],
+          'needs-*': [ 'princess-peach' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'kamek',
+        labels: [ 'security', 'bug' ],
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+      await run();
+
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'bowser' ]);
+
+      const matched_rules = core.setOutput.getCalls().find((call) => call.args[0] === 'matched_rules').args[1];
+      expect(JSON.parse(matched_rules)).to.deep.equal([ { source: 'labels', pattern: 'security', labels: [ 'security' ] } ]);
+    });
+
+    it('fills only the remaining slots when run again for a new label with "sync_mode"', async function() {
+      const config = {
+        files: {
+          '**': [ 'mario', 'luigi', 'wario' ],
+        },
+        labels: {
+          security: [ 'bowser', 'kamek' ],
+        },
+        options: {
+          number_of_reviewers: 2,
+          sync_mode: true,
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'yoshi',
+        labels: [ 'security', 'size/S' ],
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([ 'mario' ]);
+      github.fetch_pending_reviewers.returns([ 'mario' ]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+      await run();
+
+      const picked = github.assign_reviewers.lastCall.args[0];
+      expect(picked).to.have.lengthOf(1);
+      expect([ 'luigi', 'wario', 'bowser', 'kamek' ]).to.include(picked[0]);
+
+      // Another label added afterwards doesn't request anyone else
+      github.assign_reviewers.resetHistory();
+      github.fetch_reviewers.returns([ 'mario', ...picked ]);
+      github.fetch_pending_reviewers.returns([ 'mario', ...picked ]);
+
+      await run();
+
+      expect(github.assign_reviewers.notCalled).to.be.true;
+    });
+
+    it('matches "per_author" teams and groups to assign against the teams of the author', async function() {
+      const config = {
+        reviewers: {
+          per_author: {
+            'team:engineers': [ 'dr-mario' ],
+            'team:designers': [ 'princess-peach' ],
+          },
+        },
+        options: {
+          enable_group_assignment: [ 'team:super_marios' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([]);
+      github.fetch_reviewers.returns([]);
+      github.fetch_author_teams.resolves([ 'team:engineers', 'team:super_marios' ]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+      await run();
+
+      expect(github.fetch_author_teams.lastCall.args[0]).to.have.members([ 'team:engineers', 'team:designers', 'team:super_marios' ]);
+      expect(github.assign_reviewers.lastCall.args[0]).to.have.members([ 'dr-mario', 'team:super_marios' ]);
+    });
+
+    it('expands teams into their members with "expand_teams"', async function() {
+      const config = {
+        reviewers: {
+          groups: {
+            'mario-brothers': [ 'team:super_marios', 'toad' ],
+          },
+        },
+        files: {
+          '**/*.js': [ 'team:super_marios', 'team:koopas' ],
+        },
+        options: {
+          enable_group_assignment: true,
+          expand_teams: true,
+          number_of_reviewers: 2,
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([]);
+      github.fetch_team_members.returns({ 'team:super_marios': [ 'mario', 'luigi' ] });
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+      await run();
+
+      expect(github.fetch_team_members.lastCall.args[0]).to.have.members([ 'team:super_marios', 'team:koopas' ]);
+
+      const candidates = github.filter_only_collaborators.lastCall.args[0];
+      expect(candidates).to.have.members([ 'mario', 'team:koopas', 'toad' ]);
+
+      const assigned = github.assign_reviewers.lastCall.args[0];
+      expect(assigned).to.have.lengthOf(2);
+      expect(assigned).to.not.include('luigi');
+    });
+
+    it('doesn\'t assign the teammates of the author with "expand_teams" and "enable_group_assignment: true"', async function() {
+      const config = {
+        files: {
+          '**/*.js': [ 'bowser' ],
+          '**/*.md': [ 'team:super_marios' ],
+        },
+        options: {
+          enable_group_assignment: true,
+          expand_teams: true,
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([]);
+      github.fetch_team_members.returns({ 'team:super_marios': [ 'mario', 'luigi', 'dr-mario', 'toad' ] });
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+      await run();
+
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'bowser' ]);
+    });
+
+    it('picks the most experienced reviewers with the "expertise" selection strategy', async function() {
+      const config = {
+        files: {
+          '**/*.js': [ 'dr-mario', 'mario', 'waluigi' ],
+        },
+        options: {
+          number_of_reviewers: 1,
+          selection_strategy: 'expertise',
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([]);
+      github.fetch_file_history.returns({
+        'path/to/file.js': [
+          { author: 'bowser', reviewers: [ 'waluigi' ], committed_at: new Date().toISOString() },
+          { author: 'mario', reviewers: [], committed_at: new Date().toISOString() },
+        ],
+      });
+
+      const collaborators = [ 'dr-mario', 'mario', 'waluigi' ];
+      github.filter_only_collaborators.returns([ collaborators, [] ]);
+
+      await run();
+
+      expect(github.fetch_file_history.lastCall.args[0]).to.deep.equal([ 'path/to/file.js' ]);
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'mario' ]);
+    });
+
+    it('rotates reviewers and saves the rotation with the "round_robin" selection strategy', async function() {
+      const config = {
+        reviewers: {
+          per_author: {
+            luigi: [ 'dr-mario', 'mario', 'waluigi' ],
+          },
+        },
+        options: {
+          number_of_reviewers: 1,
+          selection_strategy: 'round_robin',
+          rotation_storage: 'variable',
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([]);
+      github.fetch_reviewers.returns([]);
+      github.fetch_rotation_state.returns({ sequence: 2, last_assigned: { number_of_reviewers: { 'dr-mario': 1, 'mario': 2 } } });
+
+      const collaborators = [ 'dr-mario', 'mario', 'waluigi' ];
+      github.filter_only_collaborators.returns([ collaborators, [] ]);
+
+      await run();
+
+      expect(github.fetch_rotation_state.lastCall.args[0]).to.deep.equal({ storage: 'variable' });
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'waluigi' ]);
+      expect(github.save_rotation_state.calledOnce).to.be.true;
+      expect(github.save_rotation_state.lastCall.args).to.deep.equal([
+        { sequence: 3, last_assigned: { number_of_reviewers: { 'dr-mario': 1, 'mario': 2, 'waluigi': 3 } } },
+        { storage: 'variable' },
+      ]);
+    });
+
+    it('requests review from every matched rule with a count', async function() {
+      const config = {
+        reviewers: {
+          groups: {
+            dbas: [ 'mario', 'luigi' ],
+            designers: [ 'princess-peach', 'princess-daisy' ],
+          },
+        },
+        files: {
+          'db/**': { reviewers: [ 'dbas' ], count: 1 },
+          'ui/**': { reviewers: [ 'designers' ], count: 1 },
+          '**': [ 'yoshi', 'toad' ],
+        },
+        options: {
+          number_of_reviewers: 3,
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'bowser',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'db/schema.sql' }, { filename: 'ui/button.js' } ]);
+      github.fetch_reviewers.returns([ 'luigi' ]);
+
+      const collaborators = [ 'yoshi', 'toad', 'mario', 'princess-peach' ];
+      github.filter_only_collaborators.returns([ collaborators, [ 'princess-daisy' ] ]);
+
+      await run();
+
+      expect(github.filter_only_collaborators.lastCall.args[0]).to.have.members([ 'yoshi', 'toad', 'mario', 'princess-peach', 'princess-daisy' ]);
+
+      // "luigi" already represents the DBAs while the only designer who has access is picked for the UI
+      expect(github.assign_reviewers.lastCall.args[0]).to.have.members([ 'princess-peach', 'yoshi', 'toad' ]);
+    });
+
+    it('always requests review from required reviewers and fills the remaining slots with optional ones', async function() {
+      const config = {
+        reviewers: {
+          groups: {
+            owners: [ 'mario', 'luigi' ],
+          },
+          per_author: {
+            bowser: {
+              required: [ 'kamek' ],
+            },
+          },
+        },
+        files: {
+          '**/*.js': {
+            required: [ 'owners' ],
+            reviewers: [ 'toad', 'yoshi', 'princess-peach' ],
+          },
+        },
+        options: {
+          number_of_reviewers: 4,
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'bowser',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([]);
+
+      const collaborators = [ 'mario', 'luigi', 'kamek', 'toad', 'yoshi', 'princess-peach' ];
+      github.filter_only_collaborators.returns([ collaborators, [] ]);
+
+      await run();
+
+      const picked = github.assign_reviewers.lastCall.args[0];
+      expect(picked).to.have.lengthOf(4);
+      expect(picked.slice(0, 3)).to.have.members([ 'mario', 'luigi', 'kamek' ]);
+      expect([ 'toad', 'yoshi', 'princess-peach' ]).to.include(picked[3]);
+
+      expect(core.setOutput.calledWith('reviewer_tiers')).to.be.true;
+      expect(JSON.parse(core.setOutput.withArgs('reviewer_tiers').lastCall.args[1])).to.deep.equal({
+        mario: 'required',
+        luigi: 'required',
+        kamek: 'required',
+        [picked[3]]: 'optional',
+      });
+    });
+
+    it('removes stale reviewers and requests newly matching ones with "sync_mode"', async function() {
+      const config = {
+        files: {
+          '**/*.js': [ 'mario' ],
+          '**/*.rb': [ 'wario', 'waluigi' ],
+        },
+        options: {
+          sync_mode: true,
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([ 'wario', 'waluigi', 'yoshi' ]);
+      github.fetch_pending_reviewers.returns([ 'wario', 'waluigi' ]);
+      github.filter_only_collaborators.returns([ [ 'mario' ], [] ]);
+
+      await run();
+
+      expect(github.fetch_reviewers.lastCall.args[0]).to.deep.equal({ forget_removed_requests: true });
+      expect(github.fetch_pending_reviewers.lastCall.args[0]).to.deep.equal({ requested_by_action: true });
+      expect(github.remove_reviewers.calledOnce).to.be.true;
+      expect(github.remove_reviewers.lastCall.args[0]).to.deep.equal([ 'wario', 'waluigi' ]);
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'mario' ]);
+    });
+
+    it('does not request more reviewers on later pushes with "sync_mode" and "number_of_reviewers"', async function() {
+      const config = {
+        files: {
+          '**': [ 'mario', 'luigi', 'wario', 'waluigi' ],
+        },
+        options: {
+          number_of_reviewers: 1,
+          sync_mode: true,
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'bowser',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([ 'mario' ]);
+      github.fetch_pending_reviewers.returns([ 'mario' ]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+      await run();
+
+      expect(github.remove_reviewers.notCalled).to.be.true;
+      expect(github.assign_reviewers.notCalled).to.be.true;
+      expect(core.setOutput.calledWith('skipped_reason', 'no_new_reviewers')).to.be.true;
+    });
+
+    it('removes stale reviewers even when nothing matches any longer with "sync_mode"', async function() {
+      const config = {
+        files: {
+          '**/*.rb': [ 'wario' ],
+        },
+        options: {
+          sync_mode: true,
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([ 'wario' ]);
+      github.fetch_pending_reviewers.returns([ 'wario' ]);
+
+      await run();
+
+      expect(github.remove_reviewers.lastCall.args[0]).to.deep.equal([ 'wario' ]);
+      expect(github.assign_reviewers.notCalled).to.be.true;
+      expect(core.setOutput.calledWith('skipped_reason', 'no_reviewers_matched')).to.be.true;
+    });
+
+    it('does not look for stale reviewers without "sync_mode"', async function() {
+      const config = {
+        files: {
+          '**/*.js': [ 'mario' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.returns([ [ 'mario' ], [] ]);
+
+      await run();
+
+      expect(github.fetch_reviewers.lastCall.args[0]).to.deep.equal({ forget_removed_requests: false });
+      expect(github.fetch_pending_reviewers.notCalled).to.be.true;
+      expect(github.remove_reviewers.notCalled).to.be.true;
+    });
+
+    it('requests review again from approvers after significant changes with "rerequest_approvers"', async function() {
+      const config = {
+        files: {
+          '**/*.js': [ 'mario', 'princess-peach' ],
+          '**/*.rb': [ 'wario' ],
+        },
+        options: {
+          rerequest_approvers: {
+            min_changed_lines: 5,
+          },
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' }, { filename: 'path/to/file.rb' } ]);
+      github.fetch_reviewers.returns([ 'mario', 'wario' ]);
+      github.fetch_approvals.returns([ { reviewer: 'mario', commit_sha: 'sha-1' }, { reviewer: 'wario', commit_sha: 'sha-2' } ]);
+      github.fetch_changes_since.withArgs('sha-1').returns([ { filename: 'path/to/file.js', changes: 10 } ]);
+      github.fetch_changes_since.withArgs('sha-2').returns([ { filename: 'path/to/file.rb', changes: 2 } ]);
+      github.filter_only_collaborators.returns([ [ 'princess-peach' ], [] ]);
+
+      await run();
+
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'princess-peach', 'mario' ]);
+    });
+
+    it('does not look for approvals without "rerequest_approvers"', async function() {
+      const config = {
+        files: {
+          '**/*.js': [ 'mario' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([ 'mario' ]);
+      github.filter_only_collaborators.returns([ [], [] ]);
+
+      await run();
+
+      expect(github.fetch_approvals.notCalled).to.be.true;
+      expect(github.assign_reviewers.notCalled).to.be.true;
+    });
+
+    it('substitutes unavailable reviewers with other members of the same rule', async function() {
+      const config = {
+        files: {
+          'backend/**': {
+            required: [ 'mario' ],
+            reviewers: [ 'luigi', 'toad' ],
+          },
+          'frontend/**': [ 'princess-peach', 'princess-daisy' ],
+        },
+        availability: {
+          unavailable: [
+            { reviewer: 'mario', from: '2000-01-01' },
+          ],
+          github_status: true,
+          file: '.github/availability.json',
+        },
+        options: {
+          number_of_reviewers: 2,
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'yoshi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'backend/app.rb' }, { filename: 'frontend/app.js' } ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+      github.fetch_availability_file.returns([ { reviewer: 'princess-peach' } ]);
+      github.fetch_busy_reviewers.returns([ 'princess-daisy' ]);
+
+      await run();
+
+      expect(github.fetch_availability_file.lastCall.args[0]).to.deep.equal({ path: '.github/availability.json' });
+      expect(github.fetch_busy_reviewers.lastCall.args[0]).to.have.members([ 'mario', 'luigi', 'toad', 'princess-peach', 'princess-daisy' ]);
+
+      const requested = github.assign_reviewers.lastCall.args[0];
+      expect(requested).to.have.lengthOf(2);
+      expect(requested).to.have.members([ 'luigi', 'toad' ]);
+    });
+
+    it('substitutes unavailable required reviewers with optional reviewers of the same rule', async function() {
+      const config = {
+        files: {
+          'backend/**': {
+            required: [ 'mario', 'luigi' ],
+            reviewers: [ 'toad', 'wario' ],
+          },
+        },
+        availability: {
+          unavailable: [
+            { reviewer: 'mario', from: '2000-01-01' },
+          ],
+        },
+        options: {
+          number_of_reviewers: 1,
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'yoshi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'backend/app.rb' } ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+      await run();
+
+      const requested = github.assign_reviewers.lastCall.args[0];
+      expect(requested).to.have.lengthOf(2);
+      expect(requested).to.include('luigi');
+      expect([ 'toad', 'wario' ]).to.include.members(requested.filter((reviewer) => reviewer !== 'luigi'));
+    });
+
+    it('does not check the availability without "availability"', async function() {
+      const config = {
+        files: {
+          '**/*.js': [ 'mario' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.returns([ [ 'mario' ], [] ]);
+
+      await run();
+
+      expect(github.fetch_busy_reviewers.notCalled).to.be.true;
+      expect(github.fetch_availability_file.notCalled).to.be.true;
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'mario' ]);
+    });
+
+    it('prefers the reviewers in working hours with "prefer_working_hours"', async function() {
+      const config = {
+        files: {
+          '**/*.js': [ 'mario', 'luigi', 'toad' ],
+        },
+        availability: {
+          working_hours: {
+            mario: { timezone: 'Asia/Tokyo', hours: '09:00-18:00' },
+            luigi: { timezone: 'America/New_York', hours: '09:00-17:00' },
+            toad: { timezone: 'Europe/London', hours: '09:00-17:00' },
+          },
+        },
+        options: {
+          number_of_reviewers: 1,
+          prefer_working_hours: true,
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'yoshi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+      // Monday 12:00 in Tokyo
+      const clock = sinon.useFakeTimers({ now: Date.parse('2024-08-05T03:00:00Z'), toFake: [ 'Date' ] });
+      try {
+        await run();
+      } finally {
+        clock.restore();
+      }
+
+      expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'mario' ]);
+    });
+
+    it('Explain Mode - posts why each reviewer was picked', async function() {
+      core.getInput.withArgs('explain').returns('true');
+
+      const config = {
+        reviewers: {
+          groups: {
+            'mario-brothers': [ 'mario', 'luigi' ],
+          },
+        },
+        files: {
+          '**/*.js': [ 'mario-brothers', 'princess-peach', 'bowser' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([ 'princess-peach' ]);
+      github.filter_only_collaborators.returns([ [ 'mario' ], [ 'bowser' ] ]);
+
+      await run();
+
+      expect(github.post_notification.calledOnce).to.be.true;
+      expect(github.post_notification.lastCall.args[0]).to.deep.equal([ 'bowser' ]);
+
+      const explanation = github.post_notification.lastCall.args[2];
+      expect(explanation).to.include('| mario | requested (optional) | `files` rule `**/*.js` matched `path/to/file.js` via group `mario-brothers` |');
+      expect(explanation).to.include('| princess-peach | already requested or approved |');
+      expect(explanation).to.include('| bowser | skipped for not having access |');
+      expect(explanation).to.not.include('| luigi |');
+    });
+
+    it('Explain Mode - tells the default reviewers were fallen back to', async function() {
+      core.getInput.withArgs('explain').returns('true');
+
+      const config = {
+        reviewers: {
+          defaults: [ 'dr-mario' ],
+        },
+        files: {
+          '**/*.rb': [ 'wario' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([]);
+      github.filter_only_collaborators.returns([ [ 'dr-mario' ], [] ]);
+
+      await run();
+
+      expect(github.post_notification.lastCall.args[2]).to.include('| dr-mario | requested (optional) | listed in `reviewers.defaults` as no rules matched |');
+    });
+
+    it('Dry Run Mode - computes reviewers without touching the pull request', async function() {
+      core.getInput.withArgs('dry_run').returns('true');
+
+      const config = {
+        files: {
+          '**/*.js': [ 'mario', 'princess-peach', 'bowser' ],
+        },
+        options: {
+          selection_strategy: 'round_robin',
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+      github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+      github.fetch_reviewers.returns([]);
+      github.fetch_rotation_state.returns({ sequence: 0, last_assigned: {} });
+      github.filter_only_collaborators.returns([ [ 'mario', 'princess-peach' ], [ 'bowser' ] ]);
+
+      await run();
+
+      expect(github.filter_only_collaborators.calledOnce).to.be.true;
+      expect(github.assign_reviewers.notCalled).to.be.true;
+      expect(github.save_rotation_state.notCalled).to.be.true;
+      expect(github.get_existing_comment.notCalled).to.be.true;
+      expect(github.post_notification.notCalled).to.be.true;
+
+      expect(JSON.parse(core.setOutput.withArgs('reviewer_tiers').lastCall.args[1])).to.deep.equal({
+        'mario': 'optional',
+        'princess-peach': 'optional',
+      });
+      expect(JSON.parse(core.setOutput.withArgs('missing_access').lastCall.args[1])).to.deep.equal([ 'bowser' ]);
+      expect(JSON.parse(core.setOutput.withArgs('requested_reviewers').lastCall.args[1])).to.have.members([ 'mario', 'princess-peach' ]);
+      expect(core.setOutput.calledWith('skipped_reason', 'dry_run')).to.be.true;
+    });
+
+    it('Validate Mode - Adds To Non Collaborators', async function() {
+      core.getInput.withArgs('validate_all').returns('true');
+
+      const config = {
+        reviewers: {
+          defaults: [ 'dr-mario' ],
+          groups: {
+            'mario-brothers': [ 'mario', 'luigi' ],
+          },
+        },
+        files: {
+          '**/*.js': [ 'mario-brothers', 'team:peach-alliance' ],
+          '**/*.rb': [ 'wario', 'waluigi', 'team:bowser-and-co' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+
+      const changed_files = [ { filename: 'path/to/file.rb' } ];
+      github.fetch_changed_files.returns(changed_files);
+
+      const current_reviewers = [ ];
+      github.fetch_reviewers.returns(current_reviewers);
+
+      // Initial filter from the file.rb file change
+      const first_filter_args = [ 'wario', 'waluigi', 'team:bowser-and-co' ];
+      const collaborators = [ 'waluigi', 'team:bowser-and-co' ];
+      const missing_access = [ 'wario' ];
+      github.filter_only_collaborators.withArgs(first_filter_args).returns([ collaborators, missing_access ]);
+
+      // Second filter after validate all has been called
+      const second_filter_args = [ 'dr-mario', 'mario', 'luigi', 'team:peach-alliance' ];
+      const collaborators_second = [ 'dr-mario', 'luigi', 'team:peach-alliance' ];
+      const missing_access_second = [ 'mario' ];
+      github.filter_only_collaborators.withArgs(second_filter_args).returns([ collaborators_second, missing_access_second ]);
+
+      const comment = { id: 123, body: 'test comment' };
+      github.get_existing_comment.returns(comment);
+
+      await run();
+
+      expect(github.assign_reviewers.calledOnce).to.be.true;
+      expect(github.assign_reviewers.lastCall.args[0]).to.have.members(collaborators);
+
+      expect(core.getInput.withArgs('validate_all').calledOnce).to.be.true;
+      expect(github.filter_only_collaborators.calledTwice).to.be.true;
+      expect(github.filter_only_collaborators.firstCall.args[0]).to.have.members(first_filter_args);
+      expect(github.filter_only_collaborators.secondCall.args[0]).to.have.members(second_filter_args);
+
+      expect(github.get_existing_comment.calledOnce).to.be.true;
+      expect(github.post_notification.calledOnce).to.be.true;
+      expect(github.post_notification.lastCall.args[0]).to.have.members([ ...missing_access, ...missing_access_second ]);
+      expect(github.post_notification.lastCall.args[1]).to.deep.equal(comment);
+    });
+
+    it('Validate Mode - Posts without original missing access', async function() {
+      core.getInput.withArgs('validate_all').returns('true');
+
+      const config = {
+        reviewers: {
+          defaults: [ 'dr-mario' ],
+          groups: {
+            'mario-brothers': [ 'mario', 'luigi' ],
+          },
+        },
+        files: {
+          '**/*.js': [ 'mario-brothers', 'team:peach-alliance' ],
+          '**/*.rb': [ 'wario', 'waluigi', 'team:bowser-and-co' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+
+      const changed_files = [ { filename: 'path/to/file.rb' } ];
+      github.fetch_changed_files.returns(changed_files);
+
+      const current_reviewers = [ ];
+      github.fetch_reviewers.returns(current_reviewers);
+
+      // Initial filter from the file.rb file change
+      const first_filter_args = [ 'wario', 'waluigi', 'team:bowser-and-co' ];
+      const collaborators = [ 'wario', 'waluigi', 'team:bowser-and-co' ];
+      const missing_access = [ ];
+      github.filter_only_collaborators.withArgs(first_filter_args).returns([ collaborators, missing_access ]);
+
+      // Second filter after validate all has been called
+      const second_filter_args = [ 'dr-mario', 'mario', 'luigi', 'team:peach-alliance' ];
+      const collaborators_second = [ 'dr-mario', 'luigi', 'team:peach-alliance' ];
+      const missing_access_second = [ 'mario' ];
+      github.filter_only_collaborators.withArgs(second_filter_args).returns([ collaborators_second, missing_access_second ]);
+
+      const comment = { id: 123, body: 'test comment' };
+      github.get_existing_comment.returns(comment);
+
+      await run();
+
+      expect(github.assign_reviewers.calledOnce).to.be.true;
+      expect(github.assign_reviewers.lastCall.args[0]).to.have.members(collaborators);
+
+      expect(core.getInput.withArgs('validate_all').calledOnce).to.be.true;
+      expect(github.filter_only_collaborators.calledTwice).to.be.true;
+      expect(github.filter_only_collaborators.firstCall.args[0]).to.have.members(first_filter_args);
+      expect(github.filter_only_collaborators.secondCall.args[0]).to.have.members(second_filter_args);
+
+      expect(github.get_existing_comment.calledOnce).to.be.true;
+      expect(github.post_notification.calledOnce).to.be.true;
+      expect(github.post_notification.lastCall.args[0]).to.have.members(missing_access_second);
+      expect(github.post_notification.lastCall.args[1]).to.deep.equal(comment);
+    });
+
+    it('Validate Mode - Good State - No Comment', async function() {
+      core.getInput.withArgs('validate_all').returns('true');
+
+      const config = {
+        reviewers: {
+          defaults: [ 'dr-mario' ],
+          groups: {
+            'mario-brothers': [ 'mario', 'luigi' ],
+          },
+        },
+        files: {
+          '**/*.js': [ 'mario-brothers', 'team:peach-alliance' ],
+          '**/*.rb': [ 'wario', 'waluigi', 'team:bowser-and-co' ],
+        },
+      };
+      github.fetch_config.returns(config);
+
+      const pull_request = {
+        title: 'Nice Pull Request',
+        is_draft: false,
+        author: 'luigi',
+      };
+      github.get_pull_request.returns(pull_request);
+
+      const changed_files = [ { filename: 'path/to/file.rb' } ];
+      github.fetch_changed_files.returns(changed_files);
+
+      const current_reviewers = [ ];
+      github.fetch_reviewers.returns(current_reviewers);
+
+      // Initial filter from the file.rb file change
+      const first_filter_args = [ 'wario', 'waluigi', 'team:bowser-and-co' ];
+      const collaborators = [ 'wario', 'waluigi', 'team:bowser-and-co' ];
+      const missing_access = [ ];
+      github.filter_only_collaborators.withArgs(first_filter_args).returns([ collaborators, missing_access ]);
+
+      // Second filter after validate all has been called
+      const second_filter_args = [ 'dr-mario', 'mario', 'luigi', 'team:peach-alliance' ];
+      const collaborators_second = [ 'dr-mario', 'mario', 'luigi', 'team:peach-alliance' ];
+      const missing_access_second = [ ];
+      github.filter_only_collaborators.withArgs(second_filter_args).returns([ collaborators_second, missing_access_second ]);
 
       github.get_existing_comment.returns(undefined);
 
@@ -869,7 +2097,7 @@ describe('index', function() {
       };
       github.get_pull_request.returns(pull_request);
 
-      const changed_files = [ 'path/to/file.rb' ];
+      const changed_files = [ { filename: 'path/to/file.rb' } ];
       github.fetch_changed_files.returns(changed_files);
 
       const current_reviewers = [ ];
@@ -905,5 +2133,118 @@ describe('index', function() {
       expect(github.post_notification.lastCall.args[0]).to.have.members([]);
       expect(github.post_notification.lastCall.args[1]).to.deep.equal(comment);
     });
+
+    context('on a schedule', function() {
+      const hours_ago = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+      const config = {
+        reviewers: {
+          groups: {
+            'mario-brothers': [ 'mario', 'luigi' ],
+          },
+        },
+        files: {
+          '**/*.js': [ 'mario-brothers' ],
+        },
+        options: {
+          escalation: {
+            after_hours: 24,
+            backup_reviewers: true,
+            leads: [ 'princess-peach' ],
+          },
+        },
+      };
+
+      beforeEach(function() {
+        github.get_event_name.returns('schedule');
+        github.fetch_config.returns(config);
+      });
+
+      it('escalates the overdue review requests of every open pull request', async function() {
+        const pull_requests = [ { number: 1 }, { number: 2 } ];
+        github.fetch_open_pull_requests.returns(pull_requests);
+        github.get_pull_request.returns({ title: 'Nice Pull Request', is_draft: false, author: 'yoshi' });
+        github.fetch_review_requests.onFirstCall().returns([ { reviewer: 'mario', requested_at: hours_ago(30) } ]);
+        github.fetch_review_requests.onSecondCall().returns([ { reviewer: 'mario', requested_at: hours_ago(2) } ]);
+        github.fetch_escalated_reviewers.returns([]);
+        github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+        github.fetch_reviewers.returns([ 'mario' ]);
+        github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+
+        await run();
+
+        expect(github.use_pull_request.firstCall.args[0]).to.equal(pull_requests[0]);
+        expect(github.use_pull_request.secondCall.args[0]).to.equal(pull_requests[1]);
+
+        expect(github.assign_reviewers.calledOnce).to.be.true;
+        expect(github.assign_reviewers.lastCall.args[0]).to.deep.equal([ 'luigi', 'princess-peach' ]);
+        expect(github.post_escalation.calledOnce).to.be.true;
+        expect(github.post_escalation.lastCall.args[0]).to.deep.equal({
+          overdue_reviewers: [ 'mario' ],
+          added_reviewers: [ 'luigi', 'princess-peach' ],
+          after_hours: 24,
+          mention: undefined,
+        });
+
+        const outputs = Object.fromEntries(core.setOutput.args);
+        expect(outputs.requested_reviewers).to.equal(JSON.stringify([ 'luigi', 'princess-peach' ]));
+        expect(outputs.skipped_reason).to.equal('');
+      });
+
+      it('does not escalate the same reviewers twice', async function() {
+        github.fetch_open_pull_requests.returns([ { number: 1 } ]);
+        github.get_pull_request.returns({ title: 'Nice Pull Request', is_draft: false, author: 'yoshi' });
+        github.fetch_review_requests.returns([ { reviewer: 'mario', requested_at: hours_ago(30) } ]);
+        github.fetch_escalated_reviewers.returns([ 'mario' ]);
+
+        await run();
+
+        expect(github.assign_reviewers.notCalled).to.be.true;
+        expect(github.post_escalation.notCalled).to.be.true;
+        expect(core.setOutput.calledWith('skipped_reason', 'no_new_reviewers')).to.be.true;
+      });
+
+      it('keeps escalating the other pull requests when one fails', async function() {
+        github.fetch_open_pull_requests.returns([ { number: 1 }, { number: 2 } ]);
+        github.get_pull_request.returns({ title: 'Nice Pull Request', is_draft: false, author: 'yoshi' });
+        github.fetch_review_requests.onFirstCall().rejects(new Error('Server Error'));
+        github.fetch_review_requests.onSecondCall().returns([ { reviewer: 'mario', requested_at: hours_ago(30) } ]);
+        github.fetch_escalated_reviewers.returns([]);
+        github.fetch_changed_files.returns([ { filename: 'path/to/file.js' } ]);
+        github.fetch_reviewers.returns([ 'mario' ]);
+        github.filter_only_collaborators.callsFake(async (reviewers) => [ reviewers, [] ]);
+        sinon.stub(core, 'warning');
+
+        try {
+          await run();
+
+          expect(core.warning.calledOnce).to.be.true;
+          expect(core.warning.lastCall.args[0]).to.include('#1');
+          expect(github.post_escalation.calledOnce).to.be.true;
+        } finally {
+          core.warning.restore();
+        }
+      });
+
+      it('skips draft pull requests', async function() {
+        github.fetch_open_pull_requests.returns([ { number: 1 } ]);
+        github.get_pull_request.returns({ title: 'Nice Pull Request', is_draft: true, author: 'yoshi' });
+
+        await run();
+
+        expect(github.fetch_review_requests.notCalled).to.be.true;
+        expect(github.post_escalation.notCalled).to.be.true;
+      });
+
+      it('does nothing without "escalation"', async function() {
+        github.fetch_config.returns({ files: config.files });
+
+        await run();
+
+        expect(github.fetch_open_pull_requests.notCalled).to.be.true;
+        expect(github.get_pull_request.notCalled).to.be.true;
+        expect(core.setOutput.calledWith('skipped_reason', 'escalation_not_configured')).to.be.true;
+      });
+    });
   });
 });
@@ -2,13 +2,28 @@
 
 const {
   fetch_other_group_members,
+  exclude_ignored_files,
   identify_reviewers_by_changed_files,
+  identify_file_rule_pools,
+  identify_substitute_pools,
   identify_reviewers_by_author,
+  identify_reviewers_by_labels,
+  identify_reviewers_by_conditions,
+  identify_required_reviewers,
+  explain_reviewers,
+  identify_matched_rules,
   should_request_review,
   fetch_default_reviewers,
   randomly_pick_reviewers,
   fetch_all_reviewers,
+  identify_teams,
+  identify_author_teams_to_check,
+  identify_approvers_to_rerequest,
+  identify_size_tier,
+  identify_escalation_reviewers,
+  identify_stale_reviewers,
 } = require('../src/reviewer');
+const { compute_expertise, record_rotation } = require('../src/strategies');
 const { expect } = require('chai');
 
 describe('reviewer', function() {
@@ -66,6 +81,84 @@ describe('reviewer', function() {
 
         expect(fetch_other_group_members({ author, config })).to.have.members(other_group_members);
       });
+
+      it('returns the members of the groups including the author through nested groups', function() {
+        const nested_config = {
+          reviewers: {
+            groups: {
+              'mario-brothers': [ 'mario', 'luigi' ],
+              'mushroom-kingdom': [ 'mario-brothers', 'toad' ],
+            },
+          },
+          options: {
+            enable_group_assignment: true,
+          },
+        };
+
+        expect(fetch_other_group_members({ author: 'luigi', config: nested_config })).to.have.members([ 'mario', 'toad' ]);
+      });
+
+      it('returns the members of the groups including a team the author belongs to', function() {
+        const config_with_teams = {
+          reviewers: {
+            groups: {
+              'mario-brothers': [ 'mario', 'team:super_marios' ],
+            },
+          },
+          options: {
+            enable_group_assignment: true,
+          },
+        };
+
+        expect(fetch_other_group_members({ author: 'luigi', config: config_with_teams, author_teams: [ 'team:super_marios' ] })).to.have.members([ 'mario', 'team:super_marios' ]);
+        expect(fetch_other_group_members({ author: 'luigi', config: config_with_teams })).to.deep.equal([]);
+      });
+    });
+
+    context('when "enable_group_assignment" is a list of groups and teams', function() {
+      const config = {
+        ...base_config,
+        options: {
+          enable_group_assignment: [ 'mario-alike', 'team:super_marios' ],
+        },
+      };
+
+      it('only returns the other members of the listed groups', function() {
+        expect(fetch_other_group_members({ author: 'luigi', config })).to.deep.equal([]);
+        expect(fetch_other_group_members({ author: 'mario', config })).to.have.members([ 'dr-mario', 'wario' ]);
+      });
+
+      it('returns the listed teams the author belongs to', function() {
+        expect(fetch_other_group_members({ author: 'luigi', config, author_teams: [ 'team:super_marios' ] })).to.deep.equal([ 'team:super_marios' ]);
+      });
+    });
+  });
+
+  describe('exclude_ignored_files()', function() {
+    const config = {
+      options: {
+        ignore_files: [ '**/package-lock.json', 'dist/**' ],
+      },
+    };
+
+    it('leaves out the files matching "ignore_files"', function() {
+      const changed_files = [ { filename: 'package-lock.json' }, { filename: 'dist/index.js' }, { filename: 'src/index.js' } ];
+
+      expect(exclude_ignored_files({ config, changed_files })).to.deep.equal([ { filename: 'src/index.js' } ]);
+      expect(exclude_ignored_files({ config, changed_files: [ 'web/package-lock.json', 'README.md' ] })).to.deep.equal([ 'README.md' ]);
+    });
+
+    it('leaves out the files generated or vendored in .gitattributes', function() {
+      const gitattributes = [ { pattern: 'vendor/**', glob: 'vendor/**', attributes: { 'linguist-vendored': true } } ];
+      const changed_files = [ { filename: 'vendor/lib.js' }, { filename: 'src/index.js' } ];
+
+      expect(exclude_ignored_files({ config: {}, changed_files, gitattributes })).to.deep.equal([ { filename: 'src/index.js' } ]);
+    });
+
+    it('keeps every file without "ignore_files" nor .gitattributes rules', function() {
+      const changed_files = [ { filename: 'package-lock.json' } ];
+
+      expect(exclude_ignored_files({ config: {}, changed_files })).to.deep.equal(changed_files);
     });
   });
 
@@ -149,6 +242,154 @@ describe('reviewer', function() {
       };
       expect(identify_reviewers_by_changed_files({ config: config_with_last_files_match_only, changed_files })).to.have.members([ 'mario', 'someone-specific', 'luigi' ]);
     });
+
+    it('only matches the files of the statuses set in "status"', function() {
+      const config_with_status = {
+        files: {
+          'migrations/**': {
+            reviewers: [ 'dba' ],
+            status: 'added',
+          },
+          'api/public/**': {
+            required: [ 'api-owners' ],
+            status: [ 'removed', 'renamed' ],
+          },
+        },
+      };
+
+      expect(identify_reviewers_by_changed_files({
+        config: config_with_status,
+        changed_files: [ { filename: 'migrations/001_init.sql', status: 'modified' }, { filename: 'api/public/users.js', status: 'modified' } ],
+      })).to.deep.equal([]);
+      expect(identify_reviewers_by_changed_files({
+        config: config_with_status,
+        changed_files: [ { filename: 'migrations/002_users.sql', status: 'added' }, { filename: 'api/public/users.js', status: 'removed' } ],
+      })).to.have.members([ 'dba', 'api-owners' ]);
+    });
+
+    it('matches renamed files by both their previous and new paths', function() {
+      const changed_files = [ { filename: 'lib/file.rb', status: 'renamed', previous_filename: 'backend/file.rb' } ];
+
+      expect(identify_reviewers_by_changed_files({ config, changed_files })).to.have.members([ 'mario', 'luigi', 'wario', 'waluigi' ]);
+      expect(identify_matched_rules({ config, changed_files })).to.deep.equal([ { source: 'files', pattern: 'backend/**/*', files: [ 'lib/file.rb' ] } ]);
+    });
+
+    context('with CODEOWNERS rules', function() {
+      const codeowners = [
+        { globs: [ '**/*', '**/*/**' ], reviewers: [ 'toad' ] },
+        { globs: [ '.github/**' ], reviewers: [ 'team:koopa-troop' ] },
+      ];
+
+      it('uses CODEOWNERS rules alongside the "files" rules by default', function() {
+        const changed_files = [ '.github/workflows/ci.yml', 'dir/super-star' ];
+        expect(identify_reviewers_by_changed_files({ config, changed_files, codeowners })).to.have.members([ 'toad', 'team:koopa-troop', 'mario', 'luigi' ]);
+      });
+
+      it('uses CODEOWNERS rules even when config does not have a "files" key', function() {
+        const changed_files = [ 'README.md' ];
+        expect(identify_reviewers_by_changed_files({ config: {}, changed_files, codeowners })).to.have.members([ 'toad' ]);
+      });
+
+      it('uses CODEOWNERS rules instead of the "files" rules with `codeowners_mode` `replace`', function() {
+        const changed_files = [ 'dir/super-star' ];
+        const config_with_replace = {
+          ...config,
+          options: {
+            codeowners_mode: 'replace',
+          },
+        };
+        expect(identify_reviewers_by_changed_files({ config: config_with_replace, changed_files, codeowners })).to.have.members([ 'toad' ]);
+      });
+
+      it('gives the "files" rules precedence over CODEOWNERS rules with `last_files_match_only` `true`', function() {
+        const changed_files = [ 'dir/super-star', 'README.md' ];
+        const config_with_last_files_match_only = {
+          ...config,
+          options: {
+            last_files_match_only: true,
+          },
+        };
+        expect(identify_reviewers_by_changed_files({ config: config_with_last_files_match_only, changed_files, codeowners })).to.have.members([ 'mario', 'luigi', 'toad' ]);
+      });
+    });
+  });
+
+  describe('identify_file_rule_pools()', function() {
+    const config = {
+      reviewers: {
+        groups: {
+          'backend-engineers': [ 'mario', 'luigi', 'wario', 'waluigi' ],
+          'frontend-engineers': [ 'princess-peach', 'princess-daisy' ],
+        },
+      },
+      files: {
+        'backend/**/*': { reviewers: [ 'backend-engineers' ], count: 1 },
+        'frontend/**/*': { reviewers: [ 'frontend-engineers', 'toad' ], count: 2 },
+        '**/*.md': [ 'yoshi' ],
+      },
+    };
+
+    it('returns the matched rules with a count and their reviewers', function() {
+      const changed_files = [ 'backend/file', 'frontend/README.md' ];
+      expect(identify_file_rule_pools({ config, changed_files, excludes: [ 'luigi' ] })).to.deep.equal([
+        { pattern: 'backend/**/*', count: 1, reviewers: [ 'mario', 'wario', 'waluigi' ] },
+        { pattern: 'frontend/**/*', count: 2, reviewers: [ 'princess-peach', 'princess-daisy', 'toad' ] },
+      ]);
+    });
+
+    it('leaves the reviewers of rules with a count out of identify_reviewers_by_changed_files()', function() {
+      const changed_files = [ 'backend/file', 'frontend/README.md' ];
+      expect(identify_reviewers_by_changed_files({ config, changed_files })).to.deep.equal([ 'yoshi' ]);
+    });
+
+    it('only returns the last matching rules with `last_files_match_only` `true`', function() {
+      const changed_files = [ 'backend/README.md' ];
+      const config_with_last_files_match_only = {
+        ...config,
+        options: {
+          last_files_match_only: true,
+        },
+      };
+      expect(identify_file_rule_pools({ config: config_with_last_files_match_only, changed_files })).to.deep.equal([]);
+      expect(identify_reviewers_by_changed_files({ config: config_with_last_files_match_only, changed_files })).to.deep.equal([ 'yoshi' ]);
+    });
+  });
+
+  describe('identify_substitute_pools()', function() {
+    const config = {
+      reviewers: {
+        groups: {
+          'backend-leads': [ 'mario', 'luigi' ],
+        },
+        per_author: {
+          yoshi: {
+            required: [ 'bowser' ],
+            reviewers: [ 'bowser-jr' ],
+          },
+        },
+      },
+      files: {
+        'backend/**': {
+          required: [ 'backend-leads' ],
+          reviewers: [ 'toad' ],
+        },
+        'frontend/**': [ 'princess-peach', 'princess-daisy' ],
+      },
+    };
+
+    it('returns a pool of the optional reviewers for each rule with unavailable required reviewers', function() {
+      const changed_files = [ 'backend/app.rb', 'frontend/app.js' ];
+      const unavailable_reviewers = [ 'mario', 'bowser', 'princess-peach' ];
+
+      expect(identify_substitute_pools({ config, changed_files, author: 'yoshi', unavailable_reviewers })).to.deep.equal([
+        { pattern: 'backend/**', count: 1, reviewers: [ 'toad' ] },
+        { pattern: 'yoshi', count: 1, reviewers: [ 'bowser-jr' ] },
+      ]);
+    });
+
+    it('returns no pools when every required reviewer is available', function() {
+      expect(identify_substitute_pools({ config, changed_files: [ 'backend/app.rb' ], author: 'yoshi', unavailable_reviewers: [ 'toad' ] })).to.deep.equal([]);
+    });
   });
 
   describe('identify_reviewers_by_author()', function() {
@@ -190,6 +431,255 @@ describe('reviewer', function() {
       const author = 'mario';
       expect(identify_reviewers_by_author({ config, author })).to.have.members([ 'dr-mario', 'luigi', 'wario', 'waluigi', 'princess-peach', 'princess-daisy' ]);
     });
+
+    it('works when a author setting is specified with a team the author belongs to', function() {
+      const config_with_team = {
+        reviewers: {
+          per_author: {
+            'team:engineers': [ 'dr-mario' ],
+          },
+        },
+      };
+
+      expect(identify_reviewers_by_author({ config: config_with_team, author: 'luigi', author_teams: [ 'team:engineers' ] })).to.deep.equal([ 'dr-mario' ]);
+      expect(identify_reviewers_by_author({ config: config_with_team, author: 'luigi', author_teams: [ 'team:designers' ] })).to.deep.equal([]);
+    });
+
+    it('works when a author setting is specified with a group expression', function() {
+      const config_with_expression = {
+        reviewers: {
+          groups: config.reviewers.groups,
+          per_author: {
+            'engineers - designers': [ 'designers' ],
+          },
+        },
+      };
+
+      expect(identify_reviewers_by_author({ config: config_with_expression, author: 'luigi' })).to.have.members([ 'mario', 'princess-peach', 'princess-daisy' ]);
+      expect(identify_reviewers_by_author({ config: config_with_expression, author: 'mario' })).to.deep.equal([]);
+    });
+  });
+
+  describe('identify_reviewers_by_labels()', function() {
+    const config = {
+      reviewers: {
+        groups: {
+          'security-team': [ 'bowser', 'kamek' ],
+        },
+      },
+      labels: {
+        'security': [ 'security-team' ],
+        'needs-*': {
+          required: [ 'princess-peach' ],
+          reviewers: [ 'princess-daisy' ],
+        },
+      },
+    };
+
+    it('returns nothing when config does not have a "labels" key', function() {
+      expect(identify_reviewers_by_labels({ config: {}, labels: [ 'security' ] })).to.deep.equal([]);
+    });
+
+    it('returns the reviewers of the labels matched by name or glob', function() {
+      expect(identify_reviewers_by_labels({ config, labels: [ 'security', 'needs-design', 'bug' ] }))
+        .to.have.members([ 'bowser', 'kamek', 'princess-peach', 'princess-daisy' ]);
+    });
+
+    it('excludes the specified reviewers', function() {
+      expect(identify_reviewers_by_labels({ config, labels: [ 'security' ], excludes: [ 'bowser' ] })).to.deep.equal([ 'kamek' ]);
+    });
+
+    it('returns nothing without matching labels', function() {
+      expect(identify_reviewers_by_labels({ config, labels: [ 'bug' ] })).to.deep.equal([]);
+    });
+  });
+
+  describe('identify_required_reviewers()', function() {
+    const config = {
+      reviewers: {
+        groups: {
+          'backend-engineers': [ 'mario', 'luigi' ],
+          'designers': [ 'princess-peach', 'princess-daisy' ],
+        },
+        per_author: {
+          designers: {
+            required: [ 'lead-designer' ],
+            reviewers: [ 'designers' ],
+          },
+          yoshi: [ 'mario' ],
+        },
+      },
+      files: {
+        'backend/**/*': {
+          required: [ 'backend-engineers' ],
+          reviewers: [ 'toad' ],
+        },
+        'frontend/**/*': [ 'designers' ],
+      },
+    };
+
+    it('returns the required reviewers of the matched "files" and "per_author" rules', function() {
+      const changed_files = [ 'backend/file', 'frontend/file' ];
+      expect(identify_required_reviewers({ config, changed_files, author: 'princess-daisy' })).to.have.members([ 'mario', 'luigi', 'lead-designer' ]);
+    });
+
+    it('excludes the author', function() {
+      const changed_files = [ 'backend/file' ];
+      expect(identify_required_reviewers({ config, changed_files, author: 'luigi' })).to.deep.equal([ 'mario' ]);
+    });
+
+    it('returns the required reviewers of the matched "labels" rules', function() {
+      const config_with_labels = { ...config, labels: { security: { required: [ 'bowser' ], reviewers: [ 'kamek' ] } } };
+      expect(identify_required_reviewers({ config: config_with_labels, changed_files: [], author: 'yoshi', labels: [ 'security' ] })).to.deep.equal([ 'bowser' ]);
+    });
+
+    it('leaves required reviewers in the reviewers identified by files and by author', function() {
+      const changed_files = [ 'backend/file' ];
+      expect(identify_reviewers_by_changed_files({ config, changed_files })).to.have.members([ 'mario', 'luigi', 'toad' ]);
+      expect(identify_reviewers_by_author({ config, author: 'princess-daisy' })).to.have.members([ 'lead-designer', 'princess-peach' ]);
+    });
+  });
+
+  describe('explain_reviewers()', function() {
+    const config = {
+      reviewers: {
+        groups: {
+          'mario-brothers': [ 'mario', 'luigi' ],
+          'mushroom-kingdom': [ 'princess-peach', 'toad', 'luigi' ],
+        },
+        per_author: {
+          luigi: {
+            required: [ 'dr-mario' ],
+          },
+        },
+      },
+      files: {
+        '**/*.js': [ 'mario-brothers', 'yoshi' ],
+        'db/**': {
+          reviewers: [ 'bowser', 'bowser-jr' ],
+          count: 1,
+        },
+      },
+      options: {
+        enable_group_assignment: true,
+      },
+    };
+
+    it('tells the rules, groups and files each reviewer is matched for', function() {
+      const changed_files = [ 'a.js', 'b.js', 'c.js', 'd.js', 'db/schema.rb' ];
+
+      expect(explain_reviewers({ config, changed_files, author: 'luigi' })).to.deep.equal({
+        'mario': [
+          '`files` rule `**/*.js` matched `a.js`, `b.js`, `c.js` and 1 more via group `mario-brothers`',
+          'in group `mario-brothers` with the author',
+        ],
+        'yoshi': [ '`files` rule `**/*.js` matched `a.js`, `b.js`, `c.js` and 1 more' ],
+        'bowser': [ '`files` rule `db/**` matched `db/schema.rb` (pick 1)' ],
+        'bowser-jr': [ '`files` rule `db/**` matched `db/schema.rb` (pick 1)' ],
+        'dr-mario': [ '`per_author` entry `luigi` matched the author (required)' ],
+        'princess-peach': [ 'in group `mushroom-kingdom` with the author' ],
+        'toad': [ 'in group `mushroom-kingdom` with the author' ],
+      });
+    });
+
+    it('tells the "labels" rules each reviewer is matched for', function() {
+      const config_with_labels = {
+        reviewers: config.reviewers,
+        labels: {
+          'needs-*': {
+            required: [ 'princess-peach' ],
+            reviewers: [ 'mario-brothers' ],
+          },
+        },
+      };
+
+      expect(explain_reviewers({ config: config_with_labels, changed_files: [], author: 'luigi', labels: [ 'needs-design', 'bug' ] })).to.deep.equal({
+        'dr-mario': [ '`per_author` entry `luigi` matched the author (required)' ],
+        'princess-peach': [ '`labels` entry `needs-*` matched `needs-design` (required)' ],
+        'mario': [ '`labels` entry `needs-*` matched `needs-design` via group `mario-brothers`' ],
+      });
+    });
+
+    it('tells the "conditions" rules each reviewer is matched for', function() {
+      const config_with_conditions = {
+        conditions: [ {
+          head_branch: '^hotfix/',
+          author_association: 'MEMBER',
+          required: [ 'toad' ],
+        }, {
+          body: 'database',
+          reviewers: [ 'bowser' ],
+        } ],
+      };
+      const pull_request = { title: 'Fix the database', body: 'Fix the database', head_ref: 'hotfix/db', author_association: 'MEMBER' };
+
+      expect(explain_reviewers({ config: config_with_conditions, changed_files: [], author: 'luigi', pull_request })).to.deep.equal({
+        toad: [ '`conditions` entry #1 matched the head branch `hotfix/db` and the author association `MEMBER` (required)' ],
+        bowser: [ '`conditions` entry #2 matched the body' ],
+      });
+
+      expect(identify_matched_rules({ config: config_with_conditions, changed_files: [], author: 'luigi', pull_request })).to.deep.equal([
+        { source: 'conditions', index: 0 },
+        { source: 'conditions', index: 1 },
+      ]);
+    });
+
+    it('tells CODEOWNERS rules apart and respects "last_files_match_only"', function() {
+      const codeowners = [ { pattern: '*.js', globs: [ '**/*.js' ], reviewers: [ 'toad' ] } ];
+      const changed_files = [ 'a.js' ];
+
+      expect(explain_reviewers({ config: { files: config.files }, changed_files, author: 'luigi', codeowners })).to.deep.equal({
+        'toad': [ 'CODEOWNERS rule `*.js` matched `a.js`' ],
+        'mario-brothers': [ '`files` rule `**/*.js` matched `a.js`' ],
+        'yoshi': [ '`files` rule `**/*.js` matched `a.js`' ],
+      });
+
+      const last_match_config = { files: config.files, options: { last_files_match_only: true } };
+      expect(Object.keys(explain_reviewers({ config: last_match_config, changed_files, author: 'luigi', codeowners }))).to.have.members([ 'mario-brothers', 'yoshi' ]);
+    });
+  });
+
+  describe('identify_matched_rules()', function() {
+    const config = {
+      reviewers: {
+        groups: {
+          'mario-brothers': [ 'mario', 'luigi' ],
+        },
+        per_author: {
+          'mario-brothers': [ 'princess-peach' ],
+          'wario': [ 'waluigi' ],
+        },
+      },
+      files: {
+        '**/*.js': [ 'mario' ],
+        '**/*.rb': [ 'wario' ],
+        'docs/**': [ 'toad' ],
+      },
+    };
+
+    it('lists the matched "files", CODEOWNERS and "per_author" rules', function() {
+      const codeowners = [ { pattern: '/docs/', globs: [ 'docs/**' ], reviewers: [ 'yoshi' ] } ];
+      const changed_files = [ 'a.js', 'docs/b.js', 'docs/c.md' ];
+
+      expect(identify_matched_rules({ config, changed_files, author: 'luigi', codeowners })).to.deep.equal([
+        { source: 'codeowners', pattern: '/docs/', files: [ 'docs/b.js', 'docs/c.md' ] },
+        { source: 'files', pattern: '**/*.js', files: [ 'a.js', 'docs/b.js' ] },
+        { source: 'files', pattern: 'docs/**', files: [ 'docs/b.js', 'docs/c.md' ] },
+        { source: 'per_author', author: 'mario-brothers' },
+      ]);
+    });
+
+    it('lists the matched "labels" rules', function() {
+      const config_with_labels = { ...config, labels: { 'needs-*': [ 'princess-peach' ], 'security': [ 'bowser' ] } };
+
+      expect(identify_matched_rules({ config: config_with_labels, changed_files: [], author: 'toad', labels: [ 'needs-design', 'needs-copy', 'bug' ] })).to.deep.equal([
+        { source: 'labels', pattern: 'needs-*', labels: [ 'needs-design', 'needs-copy' ] },
+      ]);
+    });
+
+    it('returns nothing without matches', function() {
+      expect(identify_matched_rules({ config, changed_files: [ 'a.py' ], author: 'toad' })).to.deep.equal([]);
+    });
   });
 
   describe('should_request_review()', function() {
@@ -304,6 +794,64 @@ describe('reviewer', function() {
       expect(should_request_review({ title: '[DO NOT REVIEW] THIS MATTERS', is_draft: false, config })).to.be.false;
       expect(should_request_review({ title: 'THIS MATTERS', is_draft: false, config })).to.be.true;
     });
+
+    context('when "conditions" with "skip" are supplied', function() {
+      const config = {
+        conditions: [ {
+          author_association: '^FIRST_TIME_CONTRIBUTOR$',
+          head_branch: '^dependabot/',
+          skip: true,
+        }, {
+          body: 'skip-review',
+          skip: true,
+        } ],
+      };
+
+      it('returns false if all the patterns of a condition match', function() {
+        expect(should_request_review({ title: 'Bump lodash', is_draft: false, head_ref: 'dependabot/npm/lodash', author_association: 'FIRST_TIME_CONTRIBUTOR', config })).to.be.false;
+        expect(should_request_review({ title: 'Nice Pull Request', is_draft: false, body: 'Please skip-review', config })).to.be.false;
+      });
+
+      it('returns true if only some patterns of a condition match', function() {
+        expect(should_request_review({ title: 'Bump lodash', is_draft: false, head_ref: 'dependabot/npm/lodash', author_association: 'MEMBER', config })).to.be.true;
+        expect(should_request_review({ title: 'Nice Pull Request', is_draft: false, body: null, config })).to.be.true;
+      });
+    });
+  });
+
+  describe('identify_reviewers_by_conditions()', function() {
+    const config = {
+      reviewers: {
+        groups: {
+          'on-call': [ 'mario', 'luigi' ],
+        },
+      },
+      conditions: [ {
+        head_branch: '^hotfix/',
+        required: [ 'on-call' ],
+      }, {
+        title: '^\\[security\\]',
+        reviewers: [ 'bowser' ],
+      }, {
+        title: 'database',
+        author_association: '^(FIRST_TIME_CONTRIBUTOR|CONTRIBUTOR)$',
+        reviewers: [ 'toad' ],
+      } ],
+    };
+
+    it('returns nothing when config does not have a "conditions" key', function() {
+      expect(identify_reviewers_by_conditions({ config: {}, pull_request: { title: 'Nice Pull Request' } })).to.deep.equal([]);
+    });
+
+    it('returns the reviewers of the matched conditions', function() {
+      const pull_request = { title: 'Fix the database', body: '', head_ref: 'hotfix/db', author_association: 'CONTRIBUTOR' };
+      expect(identify_reviewers_by_conditions({ config, pull_request, excludes: [ 'luigi' ] })).to.have.members([ 'mario', 'toad' ]);
+    });
+
+    it('returns nothing without matching conditions', function() {
+      const pull_request = { title: 'Fix the database', body: '', head_ref: 'feature/db', author_association: 'MEMBER' };
+      expect(identify_reviewers_by_conditions({ config, pull_request })).to.deep.equal([]);
+    });
   });
 
   describe('fetch_default_reviewers()', function() {
@@ -330,6 +878,48 @@ describe('reviewer', function() {
       };
       expect(fetch_default_reviewers({ config, excludes: [ 'luigi' ] })).to.have.members([ 'dr-mario', 'mario' ]);
     });
+
+    context('with nested groups', function() {
+      const groups = {
+        'backend': [ 'mario', 'luigi', 'backend-leads' ],
+        'backend-leads': [ 'dr-mario' ],
+        'frontend': [ 'princess-peach', 'mario' ],
+        'engineers': [ 'backend', 'frontend' ],
+        'juniors': { include: [ 'engineers' ], exclude: [ 'backend-leads', 'princess-peach' ] },
+      };
+
+      it('expands groups recursively', function() {
+        const config = { reviewers: { defaults: [ 'engineers' ], groups } };
+        expect(fetch_default_reviewers({ config })).to.have.members([ 'mario', 'luigi', 'dr-mario', 'princess-peach' ]);
+      });
+
+      it('applies the "include" and "exclude" lists of a group', function() {
+        const config = { reviewers: { defaults: [ 'juniors' ], groups } };
+        expect(fetch_default_reviewers({ config })).to.have.members([ 'mario', 'luigi' ]);
+      });
+
+      it('applies set operations from left to right', function() {
+        const expect_defaults = (defaults) => expect(fetch_default_reviewers({ config: { reviewers: { defaults, groups } } }));
+
+        expect_defaults([ 'backend - backend-leads' ]).to.have.members([ 'mario', 'luigi' ]);
+        expect_defaults([ 'backend & frontend' ]).to.have.members([ 'mario' ]);
+        expect_defaults([ 'backend-leads + frontend - mario' ]).to.have.members([ 'dr-mario', 'princess-peach' ]);
+      });
+
+      it('throws an error on groups including themselves', function() {
+        const config = {
+          reviewers: {
+            defaults: [ 'mario-brothers' ],
+            groups: {
+              'mario-brothers': [ 'mario', 'luigi-fans' ],
+              'luigi-fans': [ 'luigi', 'mario-brothers' ],
+            },
+          },
+        };
+
+        expect(() => fetch_default_reviewers({ config })).to.throw('Group "mario-brothers" includes itself: mario-brothers -> luigi-fans -> mario-brothers');
+      });
+    });
   });
 
   describe('randomly_pick_reviewers()', function() {
@@ -352,6 +942,18 @@ describe('reviewer', function() {
       expect(new Set(randomly_picked_reviewers)).to.have.lengthOf(2);
     });
 
+    it('counts the reviewers already requested or approved towards the number of reviewers', function() {
+      const reviewers = [ 'dr-mario', 'mario', 'luigi' ];
+      const config = {
+        options: {
+          number_of_reviewers: 2,
+        },
+      };
+
+      expect(randomly_pick_reviewers({ reviewers, config, requested_reviewers: [ 'wario' ] })).to.have.lengthOf(1);
+      expect(randomly_pick_reviewers({ reviewers, config, requested_reviewers: [ 'wario', 'waluigi' ] })).to.deep.equal([]);
+    });
+
     it('returns all reviewers if the number of reviewers is greater than or equal to the given reviewers', function() {
       const reviewers = [ 'dr-mario', 'mario', 'luigi' ];
       const config = {
@@ -361,9 +963,230 @@ describe('reviewer', function() {
       };
       expect(randomly_pick_reviewers({ reviewers, config })).to.have.members([ 'dr-mario', 'mario', 'luigi' ]);
     });
+
+    it('picks the preferred reviewers first and falls back to the others', function() {
+      const reviewers = [ 'dr-mario', 'mario', 'luigi', 'toad' ];
+      const config = {
+        options: {
+          number_of_reviewers: 2,
+        },
+      };
+
+      expect(randomly_pick_reviewers({ reviewers, config, preferred_reviewers: [ 'mario', 'luigi' ] })).to.have.members([ 'mario', 'luigi' ]);
+
+      const picked = randomly_pick_reviewers({ reviewers, config, preferred_reviewers: [ 'toad' ] });
+      expect(picked[0]).to.equal('toad');
+      expect(picked).to.have.lengthOf(2);
+
+      expect(randomly_pick_reviewers({ reviewers, config, preferred_reviewers: [] })).to.have.lengthOf(2);
+    });
+
+    context('with "selection_strategy" "least_loaded"', function() {
+      const config = {
+        options: {
+          number_of_reviewers: 2,
+          selection_strategy: 'least_loaded',
+        },
+      };
+
+      it('picks the reviewers with the fewest pending review requests', function() {
+        const reviewers = [ 'dr-mario', 'mario', 'luigi', 'team:toads' ];
+        const review_load = { 'dr-mario': 5, 'mario': 1, 'luigi': 3, 'team:toads': 2 };
+        expect(randomly_pick_reviewers({ reviewers, config, review_load })).to.deep.equal([ 'mario', 'team:toads' ]);
+      });
+
+      it('treats reviewers without pending review requests as the least loaded', function() {
+        const reviewers = [ 'dr-mario', 'mario', 'luigi' ];
+        const review_load = { 'dr-mario': 5, 'mario': 1 };
+        expect(randomly_pick_reviewers({ reviewers, config, review_load })).to.deep.equal([ 'luigi', 'mario' ]);
+      });
+
+      it('breaks ties randomly', function() {
+        const reviewers = [ 'dr-mario', 'mario', 'luigi' ];
+        const review_load = { 'dr-mario': 5 };
+
+        const picked = new Set();
+        for (let attempt = 0; attempt < 50; attempt += 1) {
+          const randomly_picked_reviewers = randomly_pick_reviewers({ reviewers, config, review_load });
+          expect(randomly_picked_reviewers).to.have.members([ 'mario', 'luigi' ]);
+          picked.add(randomly_picked_reviewers[0]);
+        }
+        expect(picked).to.have.lengthOf(2);
+      });
+    });
+    context('with "selection_strategy" "round_robin"', function() {
+      const config = {
+        options: {
+          number_of_reviewers: 1,
+          selection_strategy: 'round_robin',
+        },
+      };
+
+      it('starts the rotation in alphabetical order', function() {
+        const reviewers = [ 'mario', 'luigi', 'dr-mario' ];
+        const rotation_state = { sequence: 0, last_assigned: {} };
+        expect(randomly_pick_reviewers({ reviewers, config, rotation_state })).to.deep.equal([ 'dr-mario' ]);
+      });
+
+      it('continues the rotation from the last assigned reviewers', function() {
+        const reviewers = [ 'mario', 'luigi', 'dr-mario' ];
+        const rotation_state = { sequence: 2, last_assigned: { number_of_reviewers: { 'dr-mario': 1, 'luigi': 2 } } };
+        expect(randomly_pick_reviewers({ reviewers, config, rotation_state })).to.deep.equal([ 'mario' ]);
+      });
+
+      it('rotates through each rule with a count on its own', function() {
+        const rule_pools = [
+          { pattern: 'db/**', count: 1, reviewers: [ 'mario', 'luigi' ] },
+          { pattern: 'ui/**', count: 1, reviewers: [ 'princess-peach', 'mario' ] },
+        ];
+        const rotation_state = {
+          sequence: 3,
+          last_assigned: {
+            'db/**': { luigi: 1 },
+            'ui/**': { 'mario': 2, 'princess-peach': 3 },
+          },
+        };
+
+        expect(randomly_pick_reviewers({ reviewers: [], config, rotation_state, rule_pools })).to.deep.equal([ 'mario' ]);
+        expect(record_rotation({ rotation_state, reviewers: [ 'mario' ], pools: rule_pools })).to.deep.equal({
+          sequence: 4,
+          last_assigned: {
+            'number_of_reviewers': { mario: 4 },
+            'db/**': { luigi: 1, mario: 4 },
+            'ui/**': { 'mario': 4, 'princess-peach': 3 },
+          },
+        });
+      });
+
+      it('continues the rotation saved with one order for all rules', function() {
+        const reviewers = [ 'mario', 'luigi', 'dr-mario' ];
+        const rotation_state = { sequence: 2, last_assigned: { 'dr-mario': 1, 'luigi': 2 } };
+        expect(randomly_pick_reviewers({ reviewers, config, rotation_state })).to.deep.equal([ 'mario' ]);
+        expect(record_rotation({ rotation_state, reviewers: [ 'mario' ] })).to.deep.equal({
+          sequence: 3,
+          last_assigned: { number_of_reviewers: { 'dr-mario': 1, 'luigi': 2, 'mario': 3 } },
+        });
+      });
+
+      it('rotates through every reviewer in turn', function() {
+        const reviewers = [ 'mario', 'luigi', 'dr-mario' ];
+        let rotation_state = { sequence: 7, last_assigned: { number_of_reviewers: { mario: 3, toad: 7 } } };
+
+        const picked = [];
+        for (let round = 0; round < 4; round += 1) {
+          const randomly_picked_reviewers = randomly_pick_reviewers({ reviewers, config, rotation_state });
+          picked.push(...randomly_picked_reviewers);
+          rotation_state = record_rotation({ rotation_state, reviewers: randomly_picked_reviewers });
+        }
+
+        expect(picked).to.deep.equal([ 'dr-mario', 'luigi', 'mario', 'dr-mario' ]);
+        expect(rotation_state).to.deep.equal({ sequence: 11, last_assigned: { number_of_reviewers: { 'mario': 10, 'toad': 7, 'luigi': 9, 'dr-mario': 11 } } });
+      });
+    });
+    context('with "selection_strategy" "expertise"', function() {
+      const config = {
+        options: {
+          number_of_reviewers: 2,
+          selection_strategy: 'expertise',
+        },
+      };
+
+      it('picks the reviewers with the most expertise', function() {
+        const reviewers = [ 'dr-mario', 'mario', 'luigi', 'toad' ];
+        const expertise = { 'dr-mario': 0.5, 'mario': 3, 'luigi': 1.2 };
+        expect(randomly_pick_reviewers({ reviewers, config, expertise })).to.deep.equal([ 'mario', 'luigi' ]);
+      });
+
+      it('only ranks the given reviewers', function() {
+        const reviewers = [ 'dr-mario', 'luigi', 'toad' ];
+        const expertise = { mario: 3, bowser: 2, toad: 1 };
+
+        const picked = randomly_pick_reviewers({ reviewers, config, expertise });
+        expect(picked[0]).to.equal('toad');
+        expect(picked).to.have.lengthOf(2);
+        expect(picked).to.not.include.members([ 'mario', 'bowser' ]);
+      });
+    });
+    context('with required reviewers', function() {
+      it('always picks the required reviewers and samples the optional ones to fill the remaining slots', function() {
+        const reviewers = [ 'dr-mario', 'mario', 'luigi', 'toad' ];
+        const config = { options: { number_of_reviewers: 3 } };
+        const picked = randomly_pick_reviewers({ reviewers, config, required_reviewers: [ 'mario', 'toad' ] });
+
+        expect(picked).to.have.lengthOf(3);
+        expect(picked.slice(0, 2)).to.deep.equal([ 'mario', 'toad' ]);
+        expect([ 'dr-mario', 'luigi' ]).to.include(picked[2]);
+      });
+
+      it('never drops required reviewers even beyond "number_of_reviewers"', function() {
+        const reviewers = [ 'dr-mario', 'mario', 'luigi' ];
+        const config = { options: { number_of_reviewers: 1 } };
+        expect(randomly_pick_reviewers({ reviewers, config, required_reviewers: [ 'mario', 'luigi' ] })).to.deep.equal([ 'mario', 'luigi' ]);
+      });
+
+      it('ignores required reviewers who are not among the given reviewers', function() {
+        const reviewers = [ 'dr-mario' ];
+        expect(randomly_pick_reviewers({ reviewers, config: {}, required_reviewers: [ 'mario' ] })).to.deep.equal([ 'dr-mario' ]);
+      });
+    });
+
+    context('with rule pools', function() {
+      const rule_pools = [
+        { pattern: 'db/**', count: 1, reviewers: [ 'mario', 'luigi' ] },
+        { pattern: 'ui/**', count: 1, reviewers: [ 'princess-peach', 'princess-daisy' ] },
+      ];
+
+      it('picks the count of reviewers out of every pool even without "number_of_reviewers"', function() {
+        const reviewers = [ 'toad' ];
+        const picked = randomly_pick_reviewers({ reviewers, config: {}, rule_pools });
+
+        expect(picked).to.have.lengthOf(3);
+        expect(picked).to.include('toad');
+        expect([ 'mario', 'luigi' ]).to.include(picked[0]);
+        expect([ 'princess-peach', 'princess-daisy' ]).to.include(picked[1]);
+      });
+
+      it('keeps the reviewers picked for the rules over "number_of_reviewers"', function() {
+        const reviewers = [ 'toad', 'yoshi', 'bowser' ];
+        const config = { options: { number_of_reviewers: 3 } };
+        const picked = randomly_pick_reviewers({ reviewers, config, rule_pools });
+
+        expect(picked).to.have.lengthOf(3);
+        expect([ 'mario', 'luigi' ]).to.include(picked[0]);
+        expect([ 'princess-peach', 'princess-daisy' ]).to.include(picked[1]);
+        expect([ 'toad', 'yoshi', 'bowser' ]).to.include(picked[2]);
+      });
+
+      it('counts reviewers picked for another rule', function() {
+        const overlapping_pools = [
+          { pattern: 'db/**', count: 1, reviewers: [ 'mario' ] },
+          { pattern: 'db/migrations/**', count: 2, reviewers: [ 'mario', 'luigi', 'dr-mario' ] },
+        ];
+        const picked = randomly_pick_reviewers({ reviewers: [], config: {}, rule_pools: overlapping_pools });
+
+        expect(picked).to.have.lengthOf(2);
+        expect(picked[0]).to.equal('mario');
+        expect([ 'luigi', 'dr-mario' ]).to.include(picked[1]);
+      });
+    });
   });
 
   describe('fetch_all_reviewers()', function() {
+    it('fetches the individuals of nested groups', function() {
+      const config = {
+        reviewers: {
+          groups: {
+            'mario-brothers': [ 'mario', 'luigi' ],
+            'mushroom-kingdom': [ 'mario-brothers', 'toad' ],
+          },
+        },
+        files: {
+          '**': [ 'mushroom-kingdom - luigi' ],
+        },
+      };
+      expect(fetch_all_reviewers(config)).to.have.members([ 'mario', 'toad' ]);
+    });
+
     it('fetches the default reviewers', function() {
       const config = {
         reviewers: {
@@ -411,6 +1234,16 @@ describe('reviewer', function() {
       expect(fetch_all_reviewers(config)).to.have.members([ 'mario', 'luigi', 'wario', 'waluigi', 'someone-specific', 'princess-peach', 'toad' ]);
     });
 
+    it('fetches the files reviewers of rules with a count', function() {
+      const config = {
+        files: {
+          'backend/**/*': { reviewers: [ 'mario', 'luigi' ], count: 1 },
+          'frontend/**/*': [ 'princess-peach' ],
+        },
+      };
+      expect(fetch_all_reviewers(config)).to.have.members([ 'mario', 'luigi', 'princess-peach' ]);
+    });
+
     it('fetches all reviewers', function() {
       const config = {
         reviewers: {
@@ -439,4 +1272,244 @@ describe('reviewer', function() {
       expect(fetch_all_reviewers(config)).to.have.members(expected);
     });
   });
+
+  describe('identify_teams()', function() {
+    it('lists every team referred to by the configuration and the CODEOWNERS rules', function() {
+      const config = {
+        reviewers: {
+          defaults: [ 'team:default-reviewers' ],
+          groups: {
+            'mario-brothers': [ 'mario', 'team:super_marios' ],
+            'koopa-troop': [ 'team:koopas' ],
+          },
+          per_author: {
+            'team:designers': [ 'mario-brothers' ],
+          },
+        },
+        files: {
+          '**': [ 'team:super_marios', 'luigi' ],
+        },
+        options: {
+          escalation: { after_hours: 24, leads: [ 'team:leads' ] },
+        },
+      };
+      const codeowners = [ { pattern: '*', globs: [ '**' ], reviewers: [ 'team:owners', 'toad' ] } ];
+
+      expect(identify_teams({ config, codeowners })).to.have.members([
+        'team:default-reviewers',
+        'team:super_marios',
+        'team:designers',
+        'team:koopas',
+        'team:leads',
+        'team:owners',
+      ]);
+    });
+  });
+
+  describe('identify_author_teams_to_check()', function() {
+    const config = {
+      reviewers: {
+        groups: {
+          'mario-brothers': [ 'mario', 'team:super_marios' ],
+          'engineers': [ 'team:engineers' ],
+        },
+        per_author: {
+          'team:designers': [ 'mario' ],
+          'engineers': [ 'luigi' ],
+          'yoshi': [ 'mario' ],
+        },
+        defaults: [ 'team:default-reviewers' ],
+      },
+    };
+
+    it('lists the teams set as "per_author" entries', function() {
+      expect(identify_author_teams_to_check(config)).to.have.members([ 'team:designers', 'team:engineers' ]);
+    });
+
+    it('lists the teams in the groups to assign with "enable_group_assignment"', function() {
+      const config_with_assignment = { ...config, options: { enable_group_assignment: [ 'mario-brothers', 'team:toads' ] } };
+      expect(identify_author_teams_to_check(config_with_assignment)).to.have.members([ 'team:designers', 'team:engineers', 'team:super_marios', 'team:toads' ]);
+    });
+  });
+
+  describe('identify_stale_reviewers()', function() {
+    const config = {
+      reviewers: {
+        defaults: [ 'dr-mario' ],
+        groups: {
+          'mario-brothers': [ 'mario', 'luigi' ],
+          'mushroom-kingdom': [ 'toad' ],
+        },
+      },
+      files: {
+        '**/*.js': [ 'mario-brothers' ],
+        '**/*.rb': [ 'team:koopa-troop' ],
+      },
+    };
+
+    it('returns the pending reviewers of the config which are no longer candidates', function() {
+      const pending_reviewers = [ 'mario', 'luigi', 'team:koopa-troop', 'dr-mario', 'yoshi', 'toad' ];
+      const candidates = [ 'mario', 'luigi' ];
+
+      expect(identify_stale_reviewers({ config, pending_reviewers, candidates })).to.deep.equal([ 'team:koopa-troop', 'dr-mario' ]);
+    });
+
+    it('considers the CODEOWNERS owners and the group members with group assignment', function() {
+      const pending_reviewers = [ 'toad', 'yoshi', 'wario' ];
+      const codeowners = [ { pattern: '*', globs: [ '**' ], reviewers: [ 'yoshi' ] } ];
+      const group_assignment_config = { ...config, options: { enable_group_assignment: true } };
+
+      expect(identify_stale_reviewers({ config: group_assignment_config, pending_reviewers, candidates: [], codeowners })).to.deep.equal([ 'toad', 'yoshi' ]);
+    });
+  });
+
+  describe('identify_approvers_to_rerequest()', function() {
+    const files = {
+      'backend/**': {
+        required: [ 'mario-brothers' ],
+      },
+      'frontend/**': [ 'princess-peach' ],
+    };
+    const groups = {
+      'mario-brothers': [ 'mario', 'luigi' ],
+    };
+    const approvals = [
+      { reviewer: 'mario', changes: [ { filename: 'backend/app.rb', changes: 8 }, { filename: 'frontend/app.js', changes: 50 } ] },
+      { reviewer: 'princess-peach', changes: [ { filename: 'backend/app.rb', changes: 8 } ] },
+      { reviewer: 'luigi', changes: [] },
+    ];
+
+    it('returns the approvers whose rules cover any changed line', function() {
+      const config = { reviewers: { groups }, files, options: { rerequest_approvers: true } };
+
+      expect(identify_approvers_to_rerequest({ config, approvals })).to.deep.equal([ { reviewer: 'mario', changed_lines: 8 } ]);
+    });
+
+    it('applies the "min_changed_lines" threshold', function() {
+      const config = { reviewers: { groups }, files, options: { rerequest_approvers: { min_changed_lines: 10 } } };
+
+      expect(identify_approvers_to_rerequest({ config, approvals })).to.deep.equal([]);
+    });
+
+    it('only counts the changes to the "files" globs', function() {
+      const config = { reviewers: { groups }, files, options: { rerequest_approvers: { files: [ 'frontend/**' ] } } };
+      const frontend_approvals = [
+        { reviewer: 'princess-peach', changes: [ { filename: 'frontend/app.js', changes: 3 }, { filename: 'backend/app.rb', changes: 8 } ] },
+        { reviewer: 'mario', changes: [ { filename: 'backend/app.rb', changes: 8 } ] },
+      ];
+
+      expect(identify_approvers_to_rerequest({ config, approvals: frontend_approvals })).to.deep.equal([ { reviewer: 'princess-peach', changed_lines: 3 } ]);
+    });
+  });
+
+  describe('identify_size_tier()', function() {
+    const config = {
+      options: {
+        size_tiers: [
+          { max_lines: 50, reviewers: 1, label: 'size/S' },
+          { max_lines: 500, reviewers: 2, label: 'size/M' },
+          { reviewers: 3, label: 'size/L' },
+        ],
+      },
+    };
+
+    it('returns the first tier the number of changed lines fits in', function() {
+      const changed_files = [
+        { filename: 'backend/app.rb', status: 'modified', additions: 30, deletions: 20 },
+        { filename: 'frontend/app.js', status: 'added', additions: 1, deletions: 0 },
+      ];
+
+      expect(identify_size_tier({ config, changed_files })).to.deep.equal({ max_lines: 500, reviewers: 2, label: 'size/M', changed_lines: 51 });
+    });
+
+    it('counts the lines on the boundary in the smaller tier', function() {
+      const changed_files = [ { filename: 'backend/app.rb', status: 'modified', additions: 25, deletions: 25 } ];
+
+      expect(identify_size_tier({ config, changed_files })).to.include({ label: 'size/S', changed_lines: 50 });
+    });
+
+    it('falls back to the tier without "max_lines"', function() {
+      const changed_files = [ { filename: 'backend/app.rb', status: 'modified', additions: 3000, deletions: 0 } ];
+
+      expect(identify_size_tier({ config, changed_files })).to.include({ reviewers: 3, label: 'size/L' });
+    });
+
+    it('returns undefined when no tiers match', function() {
+      const changed_files = [ { filename: 'backend/app.rb', status: 'modified', additions: 3000, deletions: 0 } ];
+
+      expect(identify_size_tier({ config: { options: { size_tiers: [ { max_lines: 50, reviewers: 1 } ] } }, changed_files })).to.be.undefined;
+      expect(identify_size_tier({ config: {}, changed_files })).to.be.undefined;
+    });
+  });
+
+  describe('identify_escalation_reviewers()', function() {
+    const reviewers = {
+      groups: {
+        'mario-brothers': [ 'mario', 'luigi' ],
+        'leads': [ 'princess-peach', 'toad' ],
+      },
+      per_author: {
+        yoshi: [ 'bowser', 'bowser-jr' ],
+      },
+    };
+    const files = {
+      '**/*.js': [ 'mario-brothers', 'wario' ],
+      '**/*.rb': [ 'waluigi' ],
+    };
+
+    it('picks a backup reviewer out of the rules of each overdue reviewer', function() {
+      const config = { reviewers, files, options: { escalation: { after_hours: 24, backup_reviewers: true } } };
+
+      const actual = identify_escalation_reviewers({
+        config,
+        changed_files: [ 'file.js', 'file.rb' ],
+        author: 'yoshi',
+        overdue_reviewers: [ 'mario', 'waluigi', 'bowser' ],
+        excludes: [ 'wario' ],
+      });
+
+      expect(actual).to.deep.equal([ 'luigi', 'bowser-jr' ]);
+    });
+
+    it('requests the leads which are not already requested', function() {
+      const config = { reviewers, files, options: { escalation: { after_hours: 24, leads: [ 'leads', 'dr-mario' ] } } };
+
+      const actual = identify_escalation_reviewers({
+        config,
+        changed_files: [ 'file.js' ],
+        author: 'toad',
+        overdue_reviewers: [ 'mario' ],
+        excludes: [ 'dr-mario' ],
+      });
+
+      expect(actual).to.deep.equal([ 'princess-peach' ]);
+    });
+  });
+
+  describe('compute_expertise()', function() {
+    const now = Date.parse('2024-08-01T00:00:00Z');
+
+    it('scores authors fully and reviewers half, halving every 90 days', function() {
+      const file_history = {
+        'path/to/file.js': [
+          { author: 'mario', reviewers: [ 'luigi', 'mario' ], committed_at: '2024-08-01T00:00:00Z' },
+          { author: 'luigi', reviewers: [ 'toad' ], committed_at: '2024-05-03T00:00:00Z' },
+        ],
+        'path/to/another_file.js': [
+          { author: 'mario', reviewers: [], committed_at: '2024-08-01T00:00:00Z' },
+          { author: undefined, reviewers: [ 'toad' ], committed_at: '2024-08-01T00:00:00Z' },
+        ],
+      };
+
+      expect(compute_expertise({ file_history, now })).to.deep.equal({
+        mario: 2,
+        luigi: 1,
+        toad: 0.75,
+      });
+    });
+
+    it('returns an empty object without any history', function() {
+      expect(compute_expertise({ file_history: {}, now })).to.deep.equal({});
+    });
+  });
 });
@@ -0,0 +1,77 @@
+'use strict';
+
+const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { write_summary } = require('../src/summary');
+const { expect } = require('chai');
+
+describe('summary', function() {
+  describe('write_summary()', function() {
+    const summary_path = path.join(os.tmpdir(), 'auto-request-review-summary.md');
+    let original_summary_path;
+
+    beforeEach(function() {
+      original_summary_path = process.env.GITHUB_STEP_SUMMARY;
+      process.env.GITHUB_STEP_SUMMARY = summary_path;
+      fs.writeFileSync(summary_path, '');
+    });
+
+    afterEach(function() {
+      core.summary.emptyBuffer();
+      fs.unlinkSync(summary_path);
+
+      if (original_summary_path === undefined) {
+        delete process.env.GITHUB_STEP_SUMMARY;
+      } else {
+        process.env.GITHUB_STEP_SUMMARY = original_summary_path;
+      }
+    });
+
+    it('lists the requested reviewers with their tiers', async function() {
+      await write_summary({ reviewer_tiers: { mario: 'required', luigi: 'optional' } });
+
+      const summary = fs.readFileSync(summary_path, 'utf8');
+      expect(summary).to.include('<td>mario</td><td>required</td>');
+      expect(summary).to.include('<td>luigi</td><td>optional</td>');
+    });
+
+    it('tells when no reviewers were requested', async function() {
+      await write_summary({ reviewer_tiers: {} });
+
+      expect(fs.readFileSync(summary_path, 'utf8')).to.include('No new reviewers were requested.');
+    });
+
+    it('lists the reviewers without access', async function() {
+      await write_summary({ reviewer_tiers: { mario: 'optional' }, missing_access: [ 'bowser', 'team:koopa-troop' ] });
+
+      const summary = fs.readFileSync(summary_path, 'utf8');
+      expect(summary).to.include('did not have access');
+      expect(summary).to.include('<li>bowser</li><li>team:koopa-troop</li>');
+    });
+
+    it('tells the would-be result in dry run mode', async function() {
+      await write_summary({ reviewer_tiers: { mario: 'optional' }, dry_run: true });
+
+      const summary = fs.readFileSync(summary_path, 'utf8');
+      expect(summary).to.include('Auto Request Review (dry run)');
+      expect(summary).to.include('would be requested');
+      expect(summary).to.include('<td>mario</td><td>optional</td>');
+    });
+
+    it('appends the explanation in explain mode', async function() {
+      const explanation = '<details>\n<summary>Why these reviewers?</summary>\n</details>';
+      await write_summary({ reviewer_tiers: { mario: 'optional' }, explanation });
+
+      expect(fs.readFileSync(summary_path, 'utf8')).to.include(explanation);
+    });
+
+    it('skips writing without a job summary', async function() {
+      delete process.env.GITHUB_STEP_SUMMARY;
+
+      await write_summary({ reviewer_tiers: { mario: 'required' } });
+      expect(fs.readFileSync(summary_path, 'utf8')).to.equal('');
+    });
+  });
+});